@@ -0,0 +1,205 @@
+/**
+ * ARC (Adaptive Replacement Cache)
+ *
+ * Splits entries between keys that have been used once recently (T1) and keys that have been used more than once (T2).
+ * Recently evicted keys are remembered (without their values) in ghost lists (B1 and B2), a miss that hits a ghost list
+ * shifts the target size of T1 (p) towards whichever list would have kept it. This lets the cache adapt between
+ * recency and frequency, and keeps one-off scans from flushing frequently used keys.
+ *
+ * Sizes are used in place of entry counts, so `maxSize` works the same as with the LRU.
+ *
+ * @param {{maxSize, delCallback}} options
+ * @constructor
+ */
+function Arc(options) {
+	if (options === undefined) {
+		options = {}
+	}
+
+	this.maxSize = options.maxSize;
+	this.delCallback = options.delCallback;
+	this.clear();
+}
+
+/**
+ * Adds an entry, or updates its size. Counts as a use.
+ *
+ * @param key
+ * @param size
+ */
+Arc.prototype.put = function (key, size) {
+	if (this.t1.has(key) || this.t2.has(key)) {
+		var list = this.t1.has(key) ? this.t1 : this.t2;
+		this._resize(list, key, size);
+		this._promote(key);
+	}
+	else if (this.b1.has(key)) {
+		// Would have been kept with a bigger T1
+		this.p = Math.min(this.maxSize, this.p + Math.max(this._listSize(this.b2) / this._listSize(this.b1), 1) * size);
+		this._remove(this.b1, key);
+		this._add(this.t2, key, size);
+	}
+	else if (this.b2.has(key)) {
+		// Would have been kept with a bigger T2
+		this.p = Math.max(0, this.p - Math.max(this._listSize(this.b1) / this._listSize(this.b2), 1) * size);
+		this._remove(this.b2, key);
+		this._add(this.t2, key, size);
+	}
+	else {
+		this._add(this.t1, key, size);
+	}
+
+	while (this.size > this.maxSize) {
+		this.shift();
+	}
+	this._trimGhosts();
+};
+
+/**
+ * Records a use of an entry, adding it if it isn't there.
+ *
+ * @param key
+ * @param size
+ */
+Arc.prototype.touch = function (key, size) {
+	if (this.t1.has(key) || this.t2.has(key)) {
+		return this._promote(key);
+	}
+	this.put(key, size);
+};
+
+/**
+ * @returns {string|null} The key that would be removed next.
+ */
+Arc.prototype.victim = function () {
+	var t1Size = this._listSize(this.t1);
+	if (this.t1.size > 0 && (t1Size > this.p || this.t2.size === 0)) {
+		return this.t1.keys().next().value;
+	}
+	if (this.t2.size > 0) {
+		return this.t2.keys().next().value;
+	}
+	return null;
+};
+
+/**
+ *
+ * @param key
+ * @param {boolean} [skipDelCallback]
+ */
+Arc.prototype.del = function (key, skipDelCallback) {
+	var list = this.t1.has(key) ? this.t1 : (this.t2.has(key) ? this.t2 : null);
+	if (list) {
+		this._remove(list, key);
+		if (!skipDelCallback && typeof this.delCallback === "function") {
+			this.delCallback(key, {skipLruDelete: true});
+		}
+	}
+};
+
+/**
+ * Evicts the next victim, remembering it in a ghost list.
+ */
+Arc.prototype.shift = function () {
+	var key = this.victim();
+	if (key === null || key === undefined) {
+		return;
+	}
+	var ghost = this.t1.has(key) ? this.b1 : this.b2,
+		size = this.t1.has(key) ? this.t1.get(key) : this.t2.get(key);
+	this.del(key);
+	this._add(ghost, key, size);
+};
+
+/**
+ * Removes all entries from the cache.
+ *
+ * @returns {Arc}
+ */
+Arc.prototype.clear = function () {
+	// Maps of key -> size, least recently used first
+	this.t1 = new Map();
+	this.t2 = new Map();
+	this.b1 = new Map();
+	this.b2 = new Map();
+	this._sizes = new Map([[this.t1, 0], [this.t2, 0], [this.b1, 0], [this.b2, 0]]);
+	// Target size of T1
+	this.p = 0;
+	this.size = 0;
+	return this;
+};
+
+/**
+ * Moves a key to the most recently used end of T2.
+ * @param key
+ * @private
+ */
+Arc.prototype._promote = function (key) {
+	var list = this.t1.has(key) ? this.t1 : this.t2,
+		size = list.get(key);
+	this._remove(list, key);
+	this._add(this.t2, key, size);
+};
+
+/**
+ * Keeps the ghost lists from growing past what could be useful.
+ * @private
+ */
+Arc.prototype._trimGhosts = function () {
+	while (this.b1.size > 0 && this._listSize(this.t1) + this._listSize(this.b1) > this.maxSize) {
+		this._remove(this.b1, this.b1.keys().next().value);
+	}
+	while (this.b2.size > 0 && this.size + this._listSize(this.b1) + this._listSize(this.b2) > 2 * this.maxSize) {
+		this._remove(this.b2, this.b2.keys().next().value);
+	}
+};
+
+/**
+ * @param {Map} list
+ * @param key
+ * @param size
+ * @private
+ */
+Arc.prototype._add = function (list, key, size) {
+	list.set(key, size);
+	this._sizes.set(list, this._sizes.get(list) + size);
+	if (list === this.t1 || list === this.t2) {
+		this.size += size;
+	}
+};
+
+/**
+ * @param {Map} list
+ * @param key
+ * @private
+ */
+Arc.prototype._remove = function (list, key) {
+	var size = list.get(key);
+	list.delete(key);
+	this._sizes.set(list, this._sizes.get(list) - size);
+	if (list === this.t1 || list === this.t2) {
+		this.size -= size;
+	}
+};
+
+/**
+ * @param {Map} list
+ * @param key
+ * @param size
+ * @private
+ */
+Arc.prototype._resize = function (list, key, size) {
+	this._remove(list, key);
+	this._add(list, key, size);
+};
+
+/**
+ * @param {Map} list
+ * @returns {Number}
+ * @private
+ */
+Arc.prototype._listSize = function (list) {
+	return this._sizes.get(list);
+};
+
+module.exports = Arc;
@@ -5,14 +5,61 @@ function CacheEntry(options) {
 	this.created = Date.now();
 
 	this.size = options.size || null;
+
+	// How long after expiring the entry can still be used, if fetching a new value fails. Negative entries have no
+	// value to fall back on, they're dropped once they expire
+	if (options.staleIfErrorTtl > 0 && !options.negative) {
+		this.staleIfErrorTtl = options.staleIfErrorTtl;
+	}
+
+	// How long it took to fetch the value, used to refresh early
+	if (options.fetchDuration > 0) {
+		this.fetchDuration = options.fetchDuration;
+	}
+
+	// Negative entries hold a fetcher error, or a not found (undefined) result
+	if (options.negative) {
+		this.negative = true;
+		this.error = options.error || null;
+	}
+
+	// Tags the entry was set with, see CrispCache.invalidateTag()
+	if (options.tags && options.tags.length > 0) {
+		this.tags = options.tags.slice();
+	}
+
+	// Sliding entries are touched by every hit, so they only expire once they aren't used. They still go stale (and are
+	// refreshed) staleTtl after they were created
+	if (options.sliding) {
+		this.sliding = true;
+	}
+
+	// Goes up with every write to the key, starting at 1, see CrispCache.cas()
+	if (options.version > 1) {
+		this.version = options.version;
+	}
 }
 
+CacheEntry.prototype.staleIfErrorTtl = 0;
+CacheEntry.prototype.fetchDuration = 0;
+CacheEntry.prototype.negative = false;
+CacheEntry.prototype.error = null;
+CacheEntry.prototype.tags = null;
+CacheEntry.prototype.invalidated = false;
+CacheEntry.prototype.version = 1;
+CacheEntry.prototype.sliding = false;
+CacheEntry.prototype.touched = 0;
+
 CacheEntry.prototype.getState = function () {
-	var now = Date.now();
-	if ((this.expiresTtl > 0) && (now > this.created + this.expiresTtl)) {
+	var now = Date.now(),
+		touched = this.getTouched();
+	if ((this.expiresTtl > 0) && (now > touched + this.expiresTtl)) {
+		if (now <= touched + this.expiresTtl + this.staleIfErrorTtl) {
+			return CacheEntry.STATE_STALE_IF_ERROR;
+		}
 		return CacheEntry.STATE_EXPIRED;
 	}
-	else if (now > this.created + this.staleTtl) {
+	else if (this.invalidated || now > this.created + this.staleTtl) {
 		return CacheEntry.STATE_STALE;
 	}
 	return CacheEntry.STATE_VALID;
@@ -22,6 +69,45 @@ CacheEntry.prototype.getValue = function () {
 	return this.value;
 };
 
+CacheEntry.prototype.isNegative = function () {
+	return this.negative;
+};
+
+/**
+ * Restarts the entry's expiresTtl from now, see CrispCache.touch().
+ */
+CacheEntry.prototype.touch = function () {
+	this.touched = Date.now();
+};
+
+/**
+ * @returns {Number} When the entry was last touched, or created if it never was. The expiresTtl is measured from here.
+ */
+CacheEntry.prototype.getTouched = function () {
+	return this.touched || this.created;
+};
+
+/**
+ * Soft invalidation, the entry is stale from now on (until it expires) so the next get returns it and re-fetches.
+ */
+CacheEntry.prototype.invalidate = function () {
+	this.invalidated = true;
+};
+
+/**
+ * Probabilistic early refresh (XFetch), the chance of refreshing rises as the entry gets closer to going stale, and is
+ * higher for values that took longer to fetch.
+ *
+ * @param {Number} beta - >1 favors refreshing earlier, <1 later.
+ * @returns {boolean}
+ */
+CacheEntry.prototype.shouldRefreshEarly = function (beta) {
+	if (this.negative || this.fetchDuration <= 0) {
+		return false;
+	}
+	return Date.now() - this.fetchDuration * beta * Math.log(Math.random()) >= this.created + this.staleTtl;
+};
+
 CacheEntry.prototype.isValid = function () {
 	return this.getState() === CacheEntry.STATE_VALID;
 };
@@ -30,12 +116,77 @@ CacheEntry.prototype.isStale = function () {
 	return this.getState() === CacheEntry.STATE_STALE;
 };
 
+CacheEntry.prototype.isStaleIfError = function () {
+	return this.getState() === CacheEntry.STATE_STALE_IF_ERROR;
+};
+
 CacheEntry.prototype.isExpired = function () {
 	return this.getState() === CacheEntry.STATE_EXPIRED;
 };
 
+/**
+ * Errors don't serialize on their own, keep their message and code.
+ *
+ * @returns {{value, staleTtl, expiresTtl, staleIfErrorTtl, size, fetchDuration, created, negative, error, tags, invalidated, version, sliding, touched}}
+ */
+CacheEntry.prototype.toJSON = function () {
+	return {
+		value:           this.value,
+		staleTtl:        this.staleTtl,
+		expiresTtl:      this.expiresTtl,
+		staleIfErrorTtl: this.staleIfErrorTtl,
+		size:            this.size,
+		fetchDuration:   this.fetchDuration,
+		created:         this.created,
+		negative:        this.negative,
+		error:           this.error ? {message: this.error.message, code: this.error.code} : null,
+		tags:            this.tags,
+		invalidated:     this.invalidated,
+		version:         this.version,
+		sliding:         this.sliding,
+		touched:         this.touched
+	};
+};
+
+/**
+ * Re-creates a CacheEntry from its JSON form (eg. `JSON.parse(JSON.stringify(cacheEntry))`), keeping its age.
+ * Useful for stores that serialize their entries.
+ *
+ * @param {{value, staleTtl, expiresTtl, staleIfErrorTtl, size, fetchDuration, created, negative, error, tags, invalidated, version, sliding, touched}} data
+ * @returns {CacheEntry}
+ */
+CacheEntry.fromJSON = function (data) {
+	var error = null;
+	if (data.error) {
+		error = new Error(data.error.message);
+		error.code = data.error.code;
+	}
+	var cacheEntry = new CacheEntry({
+		value:           data.value,
+		staleTtl:        data.staleTtl,
+		expiresTtl:      data.expiresTtl,
+		staleIfErrorTtl: data.staleIfErrorTtl,
+		size:            data.size,
+		fetchDuration:   data.fetchDuration,
+		negative:        data.negative,
+		error:           error,
+		tags:            data.tags,
+		version:         data.version,
+		sliding:         data.sliding
+	});
+	cacheEntry.created = data.created;
+	if (data.touched) {
+		cacheEntry.touched = data.touched;
+	}
+	if (data.invalidated) {
+		cacheEntry.invalidate();
+	}
+	return cacheEntry;
+};
+
 CacheEntry.STATE_VALID = 'valid';
 CacheEntry.STATE_STALE = 'stale';
+CacheEntry.STATE_STALE_IF_ERROR = 'staleIfError';
 CacheEntry.STATE_EXPIRED = 'expired';
 
 module.exports = CacheEntry;
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Circuit Breaker
+ *
+ * Keeps track of recent fetcher calls and stops calls from being made while too many of them are failing (or are too
+ * slow). After `resetTimeout` a single trial call is let through (half-open), if it succeeds calls are allowed again.
+ * A trial that hasn't been recorded after another `resetTimeout` is given up on, and a new one is let through.
+ *
+ * @param {{errorThreshold, latencyThreshold, minRequests, windowSize, resetTimeout, stateChangeCallback}} options
+ * @constructor
+ */
+function CircuitBreaker(options) {
+	if (options === undefined) {
+		options = {};
+	}
+
+	this.errorThreshold = options.errorThreshold || 0.5;
+	this.latencyThreshold = options.latencyThreshold || 0;
+	this.minRequests = options.minRequests || 10;
+	this.windowSize = options.windowSize || 20;
+	this.resetTimeout = options.resetTimeout || 30000;
+	this.stateChangeCallback = options.stateChangeCallback;
+
+	this.state = CircuitBreaker.STATE_CLOSED;
+	this.openedAt = null;
+	// Recent results, true for a failure
+	this.results = [];
+	this.trialInFlight = false;
+	this.trialStarted = null;
+}
+
+/**
+ * Whether a call can be made right now. Moves an open circuit to half-open once `resetTimeout` has passed.
+ *
+ * @returns {boolean}
+ */
+CircuitBreaker.prototype.allow = function () {
+	if (this.state === CircuitBreaker.STATE_OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+		this._setState(CircuitBreaker.STATE_HALF_OPEN);
+	}
+	if (this.state === CircuitBreaker.STATE_CLOSED) {
+		return true;
+	}
+	if (this.state === CircuitBreaker.STATE_HALF_OPEN
+		&& (!this.trialInFlight || Date.now() - this.trialStarted >= this.resetTimeout)) {
+		this.trialInFlight = true;
+		this.trialStarted = Date.now();
+		return true;
+	}
+	return false;
+};
+
+/**
+ * Records the result of a call.
+ *
+ * @param {Error|null} err
+ * @param {Number} latency - How long the call took, in ms.
+ */
+CircuitBreaker.prototype.record = function (err, latency) {
+	var failed = Boolean(err) || (this.latencyThreshold > 0 && latency > this.latencyThreshold);
+
+	if (this.state === CircuitBreaker.STATE_HALF_OPEN) {
+		this.trialInFlight = false;
+		this.results = [];
+		this._setState(failed ? CircuitBreaker.STATE_OPEN : CircuitBreaker.STATE_CLOSED);
+		return;
+	}
+
+	this.results.push(failed);
+	if (this.results.length > this.windowSize) {
+		this.results.shift();
+	}
+	if (this.state === CircuitBreaker.STATE_CLOSED && this.results.length >= this.minRequests
+		&& this.getFailureRate() >= this.errorThreshold) {
+		this._setState(CircuitBreaker.STATE_OPEN);
+	}
+};
+
+/**
+ * @returns {Number} The ratio of failed calls in the window.
+ */
+CircuitBreaker.prototype.getFailureRate = function () {
+	if (this.results.length === 0) {
+		return 0;
+	}
+	var failures = this.results.filter(function (failed) {
+		return failed;
+	}).length;
+	return failures / this.results.length;
+};
+
+/**
+ * @returns {{state:string, failureRate:Number, requests:Number, openedAt:Number}}
+ */
+CircuitBreaker.prototype.getUsage = function () {
+	return {
+		state:       this.state,
+		failureRate: this.getFailureRate(),
+		requests:    this.results.length,
+		openedAt:    this.openedAt
+	};
+};
+
+/**
+ * @param {string} state
+ * @private
+ */
+CircuitBreaker.prototype._setState = function (state) {
+	var previousState = this.state;
+	if (state === previousState) {
+		return;
+	}
+	this.state = state;
+	if (state === CircuitBreaker.STATE_OPEN) {
+		this.openedAt = Date.now();
+	}
+	else if (state === CircuitBreaker.STATE_CLOSED) {
+		this.openedAt = null;
+	}
+	if (typeof this.stateChangeCallback === "function") {
+		this.stateChangeCallback(state, previousState);
+	}
+};
+
+CircuitBreaker.STATE_CLOSED = 'closed';
+CircuitBreaker.STATE_OPEN = 'open';
+CircuitBreaker.STATE_HALF_OPEN = 'halfOpen';
+
+module.exports = CircuitBreaker;
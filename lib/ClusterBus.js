@@ -0,0 +1,107 @@
+/**
+ * Cluster Bus
+ *
+ * An invalidation bus for Node cluster workers, built on cluster IPC. Workers send their messages to the primary with
+ * `process.send`, the primary relays them to every other worker (never back to the sender). Create one in the primary
+ * too, it sets up the relay (and can be passed to a CrispCache in the primary as well).
+ *
+ * Every invalidation bus implements the same methods:
+ *
+ * * publish(message)    - Sends a message to every other CrispCache on the bus.
+ * * subscribe(handler)  - Calls `handler(message)` for messages from the others.
+ *
+ * Messages are plain objects that survive JSON serialization. CrispCache ignores messages it sent itself (by their
+ * origin id), so a bus may deliver messages back to the sender.
+ *
+ * @param {{cluster, process}} [options] - The `cluster` module and `process` to use, for testing.
+ * @constructor
+ */
+function ClusterBus(options) {
+	if (options === undefined) {
+		options = {};
+	}
+
+	this.cluster = options.cluster || require('cluster');
+	this.process = options.process || process;
+	this.handlers = [];
+	this.isPrimary = this.cluster.isPrimary !== undefined ? this.cluster.isPrimary : this.cluster.isMaster;
+
+	if (this.isPrimary) {
+		this.cluster.on('message', this._relay.bind(this));
+	}
+	else {
+		this.process.on('message', function (message) {
+			if (message && message[MESSAGE_KEY]) {
+				this._deliver(message[MESSAGE_KEY]);
+			}
+		}.bind(this));
+	}
+}
+
+/**
+ * @param {{}} message
+ */
+ClusterBus.prototype.publish = function (message) {
+	if (this.isPrimary) {
+		return this._sendToWorkers(message, null);
+	}
+	if (typeof this.process.send === 'function') {
+		var envelope = {};
+		envelope[MESSAGE_KEY] = message;
+		this.process.send(envelope);
+	}
+};
+
+/**
+ * @param {function({})} handler
+ */
+ClusterBus.prototype.subscribe = function (handler) {
+	this.handlers.push(handler);
+};
+
+/**
+ * Passes a message from one worker on to the others, and to caches in the primary.
+ *
+ * @param worker
+ * @param message
+ * @private
+ */
+ClusterBus.prototype._relay = function (worker, message) {
+	if (!message || !message[MESSAGE_KEY]) {
+		return;
+	}
+	this._sendToWorkers(message[MESSAGE_KEY], worker);
+	this._deliver(message[MESSAGE_KEY]);
+};
+
+/**
+ * @param {{}} message
+ * @param [fromWorker] - The worker that sent the message, it isn't sent back to it.
+ * @private
+ */
+ClusterBus.prototype._sendToWorkers = function (message, fromWorker) {
+	var workers = this.cluster.workers || {},
+		envelope = {};
+	envelope[MESSAGE_KEY] = message;
+	Object.keys(workers).forEach(function (id) {
+		var worker = workers[id];
+		if (worker && worker !== fromWorker && worker.isConnected()) {
+			worker.send(envelope);
+		}
+	});
+};
+
+/**
+ * @param {{}} message
+ * @private
+ */
+ClusterBus.prototype._deliver = function (message) {
+	this.handlers.forEach(function (handler) {
+		handler(message);
+	});
+};
+
+// Wraps our messages, so they can be told apart from any other IPC messages
+var MESSAGE_KEY = 'crispCacheBus';
+
+module.exports = ClusterBus;
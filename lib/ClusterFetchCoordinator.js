@@ -0,0 +1,274 @@
+/**
+ * Cluster Fetch Coordinator
+ *
+ * Coalesces fetches of the same key across Node cluster workers. Before fetching, a worker asks the primary for a
+ * lease on the key. The first worker gets it and fetches, the others wait for its result to be sent to them. Leases
+ * expire after `leaseTimeout`, and are dropped when their worker exits, so a crashed or stuck worker can't hold a key
+ * forever: waiting workers ask again and one of them fetches instead. A worker that gets no answer from the primary
+ * within `leaseTimeout` fetches without a lease.
+ *
+ * Create one in the primary too (with the same `name`), it hands out the leases. Values are sent over cluster IPC, so
+ * they need to survive JSON serialization. Errors keep their message and code.
+ *
+ * Every fetch coordinator implements the same method:
+ *
+ * * coordinate(key, fetch, callback) - Either calls `fetch(done)` and passes its result to `callback`, or calls
+ *                                      `callback(err, value, fetcherOptions)` with another process' result.
+ *
+ * @param {{name, leaseTimeout, cluster, process}} [options] - `name` keeps caches apart when several use coordinators,
+ *                                                            `cluster` and `process` are for testing.
+ * @constructor
+ */
+function ClusterFetchCoordinator(options) {
+	if (options === undefined) {
+		options = {};
+	}
+
+	this.name = options.name || 'crisp-cache';
+	this.leaseTimeout = options.leaseTimeout || 10000;
+	this.cluster = options.cluster || require('cluster');
+	this.process = options.process || process;
+	this.isPrimary = this.cluster.isPrimary !== undefined ? this.cluster.isPrimary : this.cluster.isMaster;
+
+	// Primary: lease id -> {workerId, expires, waiters: {workerId: true}}
+	this.leases = {};
+	// Worker: requestId -> function(message), replies to acquire requests
+	this.requests = {};
+	this.requestCounter = 0;
+	// Worker: key -> [{fetch, callback, timer}], waiting on another worker's result
+	this.waiters = {};
+
+	if (this.isPrimary) {
+		this.cluster.on('message', this._onWorkerMessage.bind(this));
+		this.cluster.on('exit', this._onWorkerExit.bind(this));
+	}
+	else {
+		this.process.on('message', this._onPrimaryMessage.bind(this));
+	}
+}
+
+/**
+ * @param {string} key
+ * @param {function(valueCb)} fetch - Fetches the key, calling back with (err, value, fetcherOptions).
+ * @param {valueCb} callback
+ */
+ClusterFetchCoordinator.prototype.coordinate = function (key, fetch, callback) {
+	if (this.isPrimary || typeof this.process.send !== 'function') {
+		// Nothing to coordinate with
+		return fetch(callback);
+	}
+	this._acquire(key, fetch, callback);
+};
+
+/**
+ * Asks the primary for the lease on a key, fetching if we get it or waiting for the result if not. Fetches anyway if the
+ * primary doesn't answer within leaseTimeout (eg. it didn't create a coordinator).
+ *
+ * @param {string} key
+ * @param {function(valueCb)} fetch
+ * @param {valueCb} callback
+ * @private
+ */
+ClusterFetchCoordinator.prototype._acquire = function (key, fetch, callback) {
+	var requestId = ++this.requestCounter;
+	var timer = setTimeout(function () {
+		delete this.requests[requestId];
+		this._fetch(key, fetch, callback);
+	}.bind(this), this.leaseTimeout);
+	this.requests[requestId] = function (message) {
+		clearTimeout(timer);
+		if (message.type === 'granted') {
+			return this._fetch(key, fetch, callback);
+		}
+		this._wait(key, fetch, callback);
+	}.bind(this);
+	this._send({type: 'acquire', key: key, requestId: requestId});
+};
+
+/**
+ * Fetches, sharing the result with the workers waiting on it.
+ *
+ * @param {string} key
+ * @param {function(valueCb)} fetch
+ * @param {valueCb} callback
+ * @private
+ */
+ClusterFetchCoordinator.prototype._fetch = function (key, fetch, callback) {
+	fetch(function (err, value, fetcherOptions) {
+		this._send({
+			type:    'result',
+			key:     key,
+			error:   err ? {message: err.message, code: err.code} : null,
+			value:   value,
+			options: fetcherOptions
+		});
+		callback(err, value, fetcherOptions);
+	}.bind(this));
+};
+
+/**
+ * Waits for the lease holder's result, asking for the lease again if it doesn't come within leaseTimeout.
+ *
+ * @param {string} key
+ * @param {function(valueCb)} fetch
+ * @param {valueCb} callback
+ * @private
+ */
+ClusterFetchCoordinator.prototype._wait = function (key, fetch, callback) {
+	var waiter = {fetch: fetch, callback: callback};
+	waiter.timer = setTimeout(function () {
+		this._removeWaiter(key, waiter);
+		this._acquire(key, fetch, callback);
+	}.bind(this), this.leaseTimeout);
+	(this.waiters[key] = this.waiters[key] || []).push(waiter);
+};
+
+/**
+ * @param {string} key
+ * @param {{}} waiter
+ * @private
+ */
+ClusterFetchCoordinator.prototype._removeWaiter = function (key, waiter) {
+	var waiters = this.waiters[key] || [];
+	waiters.splice(waiters.indexOf(waiter), 1);
+	if (waiters.length === 0) {
+		delete this.waiters[key];
+	}
+};
+
+/**
+ * Takes every waiter for a key.
+ *
+ * @param {string} key
+ * @returns {Array}
+ * @private
+ */
+ClusterFetchCoordinator.prototype._takeWaiters = function (key) {
+	var waiters = this.waiters[key] || [];
+	delete this.waiters[key];
+	waiters.forEach(function (waiter) {
+		clearTimeout(waiter.timer);
+	});
+	return waiters;
+};
+
+/**
+ * @param {{}} envelope
+ * @private
+ */
+ClusterFetchCoordinator.prototype._onPrimaryMessage = function (envelope) {
+	var message = envelope && envelope[MESSAGE_KEY];
+	if (!message || message.name !== this.name) {
+		return;
+	}
+	switch (message.type) {
+		case 'granted':
+		case 'wait':
+			var reply = this.requests[message.requestId];
+			delete this.requests[message.requestId];
+			return reply && reply(message);
+		case 'result':
+			var err = null;
+			if (message.error) {
+				err = new Error(message.error.message);
+				err.code = message.error.code;
+			}
+			return this._takeWaiters(message.key).forEach(function (waiter) {
+				waiter.callback(err, message.value, message.options);
+			});
+		case 'retry':
+			// The lease holder is gone, try again
+			return this._takeWaiters(message.key).forEach(function (waiter) {
+				this._acquire(message.key, waiter.fetch, waiter.callback);
+			}, this);
+	}
+};
+
+/**
+ * @param {{}} message
+ * @private
+ */
+ClusterFetchCoordinator.prototype._send = function (message) {
+	message.name = this.name;
+	var envelope = {};
+	envelope[MESSAGE_KEY] = message;
+	this.process.send(envelope);
+};
+
+/**
+ * Primary, hands out leases and passes results on to waiting workers.
+ *
+ * @param worker
+ * @param {{}} envelope
+ * @private
+ */
+ClusterFetchCoordinator.prototype._onWorkerMessage = function (worker, envelope) {
+	var message = envelope && envelope[MESSAGE_KEY];
+	if (!message || message.name !== this.name) {
+		return;
+	}
+	var leaseId = message.key,
+		lease = this.leases[leaseId];
+
+	if (message.type === 'acquire') {
+		if (lease && lease.workerId !== worker.id && Date.now() < lease.expires) {
+			lease.waiters[worker.id] = true;
+			return this._sendToWorker(worker.id, {type: 'wait', key: message.key, requestId: message.requestId});
+		}
+		// No lease, or it expired, this worker fetches
+		this.leases[leaseId] = {
+			workerId: worker.id,
+			expires:  Date.now() + this.leaseTimeout,
+			waiters:  lease ? lease.waiters : {}
+		};
+		return this._sendToWorker(worker.id, {type: 'granted', key: message.key, requestId: message.requestId});
+	}
+	if (message.type === 'result' && lease) {
+		Object.keys(lease.waiters).forEach(function (workerId) {
+			this._sendToWorker(workerId, message);
+		}, this);
+		lease.waiters = {};
+		if (lease.workerId === worker.id) {
+			delete this.leases[leaseId];
+		}
+	}
+};
+
+/**
+ * Primary, drops the leases of a worker that exited and tells their waiters to try again.
+ *
+ * @param worker
+ * @private
+ */
+ClusterFetchCoordinator.prototype._onWorkerExit = function (worker) {
+	Object.keys(this.leases).forEach(function (leaseId) {
+		var lease = this.leases[leaseId];
+		delete lease.waiters[worker.id];
+		if (lease.workerId === worker.id) {
+			delete this.leases[leaseId];
+			Object.keys(lease.waiters).forEach(function (workerId) {
+				this._sendToWorker(workerId, {type: 'retry', key: leaseId});
+			}, this);
+		}
+	}, this);
+};
+
+/**
+ * @param workerId
+ * @param {{}} message
+ * @private
+ */
+ClusterFetchCoordinator.prototype._sendToWorker = function (workerId, message) {
+	var worker = (this.cluster.workers || {})[workerId];
+	if (worker && worker.isConnected()) {
+		message.name = this.name;
+		var envelope = {};
+		envelope[MESSAGE_KEY] = message;
+		worker.send(envelope);
+	}
+};
+
+// Wraps our messages, so they can be told apart from any other IPC messages
+var MESSAGE_KEY = 'crispCacheLease';
+
+module.exports = ClusterFetchCoordinator;
@@ -0,0 +1,110 @@
+/**
+ * Count-Min Sketch
+ *
+ * Estimates how often keys have been seen using a small, fixed amount of memory. Estimates can be too high (when keys
+ * share counters) but never too low. Counters stop at 15, and all of them are halved once `sampleSize` keys have been
+ * recorded, so old popularity fades out over time.
+ *
+ * @param {{width, sampleSize}} options - `width` is rounded up to a power of two.
+ * @constructor
+ */
+function CountMinSketch(options) {
+	if (options === undefined) {
+		options = {};
+	}
+
+	var width = 16;
+	while (width < (options.width || 16) && width < MAX_WIDTH) {
+		width *= 2;
+	}
+	this.width = width;
+	this.sampleSize = options.sampleSize || width * 10;
+	this.additions = 0;
+	this.table = new Uint8Array(width * DEPTH);
+}
+
+/**
+ * Records a sighting of a key.
+ *
+ * @param key
+ */
+CountMinSketch.prototype.increment = function (key) {
+	var hash = hashKey(key),
+		added = false;
+	for (var i = 0; i < DEPTH; i++) {
+		var index = this._index(hash, i);
+		if (this.table[index] < MAX_COUNT) {
+			this.table[index]++;
+			added = true;
+		}
+	}
+	if (added && ++this.additions >= this.sampleSize) {
+		this._reset();
+	}
+};
+
+/**
+ * @param key
+ * @returns {Number} The estimated number of times the key has been seen.
+ */
+CountMinSketch.prototype.frequency = function (key) {
+	var hash = hashKey(key),
+		min = MAX_COUNT;
+	for (var i = 0; i < DEPTH; i++) {
+		min = Math.min(min, this.table[this._index(hash, i)]);
+	}
+	return min;
+};
+
+/**
+ * Forgets every key.
+ */
+CountMinSketch.prototype.clear = function () {
+	this.table.fill(0);
+	this.additions = 0;
+};
+
+/**
+ * @param {Number} hash
+ * @param {Number} row
+ * @returns {Number}
+ * @private
+ */
+CountMinSketch.prototype._index = function (hash, row) {
+	// Derive a hash per row from the one key hash (double hashing)
+	var rowHash = (hash + Math.imul(row, (hash >>> 16) | 1)) >>> 0;
+	return row * this.width + (rowHash & (this.width - 1));
+};
+
+/**
+ * Halves every counter.
+ * @private
+ */
+CountMinSketch.prototype._reset = function () {
+	for (var i = 0; i < this.table.length; i++) {
+		this.table[i] = this.table[i] >>> 1;
+	}
+	this.additions = Math.floor(this.additions / 2);
+};
+
+/**
+ * FNV-1a hash of the key's string form.
+ *
+ * @param key
+ * @returns {Number}
+ */
+function hashKey(key) {
+	var str = String(key),
+		hash = 0x811c9dc5;
+	for (var i = 0; i < str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+var DEPTH = 4,
+	MAX_COUNT = 15,
+	MAX_WIDTH = 65536;
+
+module.exports = CountMinSketch;
@@ -0,0 +1,98 @@
+/**
+ * Fetch Limiter
+ *
+ * Caps how many fetches run at once. Fetches over the limit wait in one of two queues, foreground fetches (something
+ * is waiting on the value) always start before background refreshes. A background fetch can be promoted when
+ * something starts waiting on one of its keys.
+ *
+ * @param {{maxConcurrent}} options
+ * @constructor
+ */
+function FetchLimiter(options) {
+	if (options === undefined) {
+		options = {};
+	}
+
+	this.maxConcurrent = options.maxConcurrent || Infinity;
+	this.active = 0;
+	this.foreground = [];
+	this.background = [];
+	this.draining = false;
+}
+
+/**
+ * Starts a fetch once there is room for it.
+ *
+ * @param {string[]} keys - The keys being fetched.
+ * @param {boolean} background - True for a background refresh, false if something is waiting on it.
+ * @param {function(function())} start - Starts the fetch, calling the given release function once it's done (more
+ *                                      calls are ignored).
+ */
+FetchLimiter.prototype.run = function (keys, background, start) {
+	(background ? this.background : this.foreground).push({keys: keys, start: start});
+	this._drain();
+};
+
+/**
+ * Moves a queued background fetch of a key to the foreground queue.
+ *
+ * @param {string} key
+ * @returns {boolean} Whether a queued background fetch was found.
+ */
+FetchLimiter.prototype.promote = function (key) {
+	for (var i = 0; i < this.background.length; i++) {
+		if (this.background[i].keys.indexOf(key) !== -1) {
+			this.foreground.push(this.background.splice(i, 1)[0]);
+			return true;
+		}
+	}
+	return false;
+};
+
+/**
+ * @returns {{maxConcurrent, active, queued, foreground, background}}
+ */
+FetchLimiter.prototype.getUsage = function () {
+	return {
+		maxConcurrent: this.maxConcurrent,
+		active:        this.active,
+		queued:        this.foreground.length + this.background.length,
+		foreground:    this.foreground.length,
+		background:    this.background.length
+	};
+};
+
+/**
+ * Starts queued fetches while there is room. Fetches that finish right away release from inside this loop, they
+ * don't start the next fetch themselves, so long queues of synchronous fetches don't grow the stack.
+ * @private
+ */
+FetchLimiter.prototype._drain = function () {
+	if (this.draining) {
+		return;
+	}
+	this.draining = true;
+	while (this.active < this.maxConcurrent && (this.foreground.length > 0 || this.background.length > 0)) {
+		this._start(this.foreground.length > 0 ? this.foreground.shift() : this.background.shift());
+	}
+	this.draining = false;
+};
+
+/**
+ * @param {{keys:string[], start:function(function())}} request
+ * @private
+ */
+FetchLimiter.prototype._start = function (request) {
+	var released = false;
+	this.active++;
+	request.start(function () {
+		if (released) {
+			return;
+		}
+		released = true;
+		this.active--;
+		this._drain();
+	}.bind(this));
+};
+
+module.exports = FetchLimiter;
@@ -0,0 +1,166 @@
+/**
+ * LFU (Least Frequently Used)
+ *
+ * Keeps a count of how often each key is used, calls del on the least used key when an entry needs to be removed. Ties
+ * are broken by evicting the least recently used of them.
+ *
+ * Keys are kept in buckets of the same frequency, in the order they were last used, so every operation is O(1).
+ *
+ * @param {{maxSize, delCallback}} options
+ * @constructor
+ */
+function Lfu(options) {
+	if (options === undefined) {
+		options = {}
+	}
+
+	this.size = 0;
+	this.maxSize = options.maxSize;
+	this.delCallback = options.delCallback;
+
+	// key -> {size, freq}
+	this.hash = {};
+	// freq -> Map of keys, oldest first
+	this.buckets = {};
+	this.minFreq = 0;
+}
+
+/**
+ * Adds an entry to the LFU, or updates its size. Counts as a use.
+ *
+ * @param key
+ * @param size
+ */
+Lfu.prototype.put = function (key, size) {
+	var entry = this.hash[key];
+	if (entry) {
+		this.size += size - entry.size;
+		entry.size = size;
+		this._increment(key, entry);
+	}
+	else {
+		this.hash[key] = {size: size, freq: 1};
+		this.size += size;
+		this._bucket(1).set(key, true);
+		this.minFreq = 1;
+	}
+
+	while (this.size > this.maxSize) {
+		this.shift();
+	}
+};
+
+/**
+ * Records a use of an entry, adding it if it isn't there.
+ *
+ * @param key
+ * @param size
+ */
+Lfu.prototype.touch = function (key, size) {
+	var entry = this.hash[key];
+	if (entry) {
+		return this._increment(key, entry);
+	}
+	this.put(key, size);
+};
+
+/**
+ * @returns {string|null} The key that would be removed next.
+ */
+Lfu.prototype.victim = function () {
+	if (!this.buckets[this.minFreq]) {
+		this._updateMinFreq();
+	}
+	var bucket = this.buckets[this.minFreq];
+	return bucket ? bucket.keys().next().value : null;
+};
+
+/**
+ *
+ * @param key
+ * @param {boolean} [skipDelCallback]
+ */
+Lfu.prototype.del = function (key, skipDelCallback) {
+	var entry = this.hash[key];
+	if (entry) {
+		this._removeFromBucket(key, entry.freq);
+		this.size -= entry.size;
+		delete this.hash[key];
+		if (!skipDelCallback && typeof this.delCallback === "function") {
+			this.delCallback(key, {skipLruDelete: true});
+		}
+	}
+};
+
+/**
+ * Removes the least frequently used entry from the cache
+ */
+Lfu.prototype.shift = function () {
+	var key = this.victim();
+	if (key !== null && key !== undefined) {
+		this.del(key);
+	}
+};
+
+/**
+ * Removes all entries from the cache.
+ *
+ * @returns {Lfu}
+ */
+Lfu.prototype.clear = function () {
+	this.hash = {};
+	this.buckets = {};
+	this.size = 0;
+	this.minFreq = 0;
+	return this;
+};
+
+/**
+ * @param key
+ * @param entry
+ * @private
+ */
+Lfu.prototype._increment = function (key, entry) {
+	this._removeFromBucket(key, entry.freq);
+	if (this.minFreq === entry.freq && !this.buckets[entry.freq]) {
+		this.minFreq++;
+	}
+	entry.freq++;
+	this._bucket(entry.freq).set(key, true);
+};
+
+/**
+ * @param {Number} freq
+ * @returns {Map}
+ * @private
+ */
+Lfu.prototype._bucket = function (freq) {
+	if (!this.buckets[freq]) {
+		this.buckets[freq] = new Map();
+	}
+	return this.buckets[freq];
+};
+
+/**
+ * @param key
+ * @param {Number} freq
+ * @private
+ */
+Lfu.prototype._removeFromBucket = function (key, freq) {
+	var bucket = this.buckets[freq];
+	bucket.delete(key);
+	if (bucket.size === 0) {
+		delete this.buckets[freq];
+	}
+};
+
+/**
+ * Finds the lowest frequency after its bucket was emptied by a delete.
+ * @private
+ */
+Lfu.prototype._updateMinFreq = function () {
+	var freqs = Object.keys(this.buckets).map(Number);
+	this.minFreq = freqs.length ? Math.min.apply(null, freqs) : 0;
+};
+
+module.exports = Lfu;
@@ -45,6 +45,23 @@ Lru.prototype.put = function (key, size) {
 	}
 };
 
+/**
+ * Records a use of an entry, adding it if it isn't there. For the LRU this is the same as a put.
+ *
+ * @param key
+ * @param size
+ */
+Lru.prototype.touch = function (key, size) {
+	this.put(key, size);
+};
+
+/**
+ * @returns {string|null} The key that would be removed next.
+ */
+Lru.prototype.victim = function () {
+	return this.tail ? this.tail.key : null;
+};
+
 /**
  * Moves an entry to the head.
  * @param entry
@@ -0,0 +1,70 @@
+/**
+ * Memory Store
+ *
+ * The default storage backend, holds CacheEntry objects in a plain object in this process' heap.
+ *
+ * Every store adapter implements the same methods, each taking an error first callback as its last argument. Callbacks
+ * may be called synchronously (like this store does) or asynchronously (a remote store).
+ *
+ * * get(key, callback(err, cacheEntry))  - `cacheEntry` is a CacheEntry, or undefined if the key isn't stored.
+ * * set(key, cacheEntry, callback(err))
+ * * delete(key, callback(err))
+ * * keys(callback(err, keys))            - `keys` is an array of every stored key.
+ * * clear(callback(err))
+ *
+ * Stores shared between processes can also implement:
+ *
+ * * evict(key, callback(err))            - Drops this process' copy of a key (if it keeps one), leaving the shared copy
+ *                                          for other processes. Used for evictions and invalidation bus messages,
+ *                                          stores without it delete the key.
+ * * localKeys(callback(err, keys))       - The keys this process keeps a copy of, `keys()` is used without it.
+ *
+ * @constructor
+ */
+function MemoryStore() {
+	this.cache = {};
+}
+
+/**
+ * @param {string} key
+ * @param {function(Error|null, CacheEntry=)} callback
+ */
+MemoryStore.prototype.get = function (key, callback) {
+	callback(null, this.cache[key]);
+};
+
+/**
+ * @param {string} key
+ * @param {CacheEntry} cacheEntry
+ * @param {function(Error|null)} callback
+ */
+MemoryStore.prototype.set = function (key, cacheEntry, callback) {
+	this.cache[key] = cacheEntry;
+	callback(null);
+};
+
+/**
+ * @param {string} key
+ * @param {function(Error|null)} callback
+ */
+MemoryStore.prototype.delete = function (key, callback) {
+	delete this.cache[key];
+	callback(null);
+};
+
+/**
+ * @param {function(Error|null, string[])} callback
+ */
+MemoryStore.prototype.keys = function (callback) {
+	callback(null, Object.keys(this.cache));
+};
+
+/**
+ * @param {function(Error|null)} callback
+ */
+MemoryStore.prototype.clear = function (callback) {
+	this.cache = {};
+	callback(null);
+};
+
+module.exports = MemoryStore;
@@ -0,0 +1,79 @@
+/**
+ * Tag Index
+ *
+ * A reverse index from tags to the keys that were set with them, so every key with a tag can be found without reading
+ * the whole store. Keys are kept in insertion order.
+ *
+ * @constructor
+ */
+function TagIndex() {
+	this.clear();
+}
+
+/**
+ * Sets the tags of a key, replacing any it had before.
+ *
+ * @param {string} key
+ * @param {string[]} [tags]
+ */
+TagIndex.prototype.set = function (key, tags) {
+	this.remove(key);
+	if (!tags || tags.length === 0) {
+		return;
+	}
+	this.keyTags[key] = tags.slice();
+	tags.forEach(function (tag) {
+		if (!this.tagKeys[tag]) {
+			this.tagKeys[tag] = new Set();
+		}
+		this.tagKeys[tag].add(key);
+	}, this);
+};
+
+/**
+ * Removes a key from every tag it had.
+ *
+ * @param {string} key
+ */
+TagIndex.prototype.remove = function (key) {
+	var tags = this.keyTags[key];
+	if (!tags) {
+		return;
+	}
+	tags.forEach(function (tag) {
+		var keys = this.tagKeys[tag];
+		keys.delete(key);
+		if (keys.size === 0) {
+			delete this.tagKeys[tag];
+		}
+	}, this);
+	delete this.keyTags[key];
+};
+
+/**
+ * @param {string} tag
+ * @returns {string[]} The keys with this tag.
+ */
+TagIndex.prototype.keys = function (tag) {
+	return this.tagKeys[tag] ? Array.from(this.tagKeys[tag]) : [];
+};
+
+/**
+ * @param {string} key
+ * @returns {string[]} The tags of this key.
+ */
+TagIndex.prototype.tags = function (key) {
+	return this.keyTags[key] ? this.keyTags[key].slice() : [];
+};
+
+/**
+ * Removes every key and tag.
+ */
+TagIndex.prototype.clear = function () {
+	// tag -> Set of keys
+	this.tagKeys = {};
+	// key -> tags
+	this.keyTags = {};
+};
+
+module.exports = TagIndex;
@@ -0,0 +1,147 @@
+var Lru = require('./Lru'),
+	MemoryStore = require('./MemoryStore');
+
+/**
+ * Tiered Store
+ *
+ * A two-tier store: a small in-process LRU (L1) in front of a second, slower store (L2) that can be shared between
+ * processes. Reads check L1 then L2, filling L1 on the way back. Writes and deletes go to both tiers, evictions only
+ * drop the L1 copy.
+ *
+ * The same CacheEntry (with its created time and TTLs) is kept in both tiers, so stale and expired states carry over.
+ *
+ * @param {{store, maxSize}} options - `store` is the L2 store, `maxSize` the max size of L1 (sizes from entries).
+ * @constructor
+ */
+function TieredStore(options) {
+	if (options === undefined) {
+		options = {};
+	}
+	if (!options.store) {
+		throw new Error("Must pass a store option, the second tier that entries will be kept in");
+	}
+	if (!options.maxSize) {
+		throw new Error("Must pass a maxSize option, the max size of the in-process tier");
+	}
+
+	this.l1 = new MemoryStore();
+	this.l2 = options.store;
+	this._lru = new Lru({
+		maxSize:     options.maxSize,
+		delCallback: function (key) {
+			this.l1.delete(key, noop);
+		}.bind(this)
+	});
+}
+
+/**
+ * Reads from L1, falling back to L2 when L1 doesn't have a valid entry.
+ *
+ * @param {string} key
+ * @param {function(Error|null, CacheEntry=)} callback
+ */
+TieredStore.prototype.get = function (key, callback) {
+	this.l1.get(key, function (err, l1Entry) {
+		if (l1Entry && l1Entry.isValid()) {
+			this._lru.put(key, l1Entry.size);
+			return callback(null, l1Entry);
+		}
+		this.l2.get(key, function (err, l2Entry) {
+			if (err) {
+				return callback(err);
+			}
+			// Another process may have refreshed L2, use whichever entry is newer.
+			if (l2Entry && (!l1Entry || l2Entry.created > l1Entry.created)) {
+				return this._setL1(key, l2Entry, function () {
+					callback(null, l2Entry);
+				});
+			}
+			if (l1Entry) {
+				this._lru.put(key, l1Entry.size);
+			}
+			callback(null, l1Entry);
+		}.bind(this));
+	}.bind(this));
+};
+
+/**
+ * @param {string} key
+ * @param {CacheEntry} cacheEntry
+ * @param {function(Error|null)} callback
+ */
+TieredStore.prototype.set = function (key, cacheEntry, callback) {
+	this.l2.set(key, cacheEntry, function (err) {
+		if (err) {
+			return callback(err);
+		}
+		this._setL1(key, cacheEntry, callback);
+	}.bind(this));
+};
+
+/**
+ * @param {string} key
+ * @param {function(Error|null)} callback
+ */
+TieredStore.prototype.delete = function (key, callback) {
+	this._lru.del(key, true);
+	this.l1.delete(key, function () {
+		this.l2.delete(key, callback);
+	}.bind(this));
+};
+
+/**
+ * Drops the L1 copy of a key, leaving it in L2 for other processes (and for this one, the next time it's read).
+ *
+ * @param {string} key
+ * @param {function(Error|null)} callback
+ */
+TieredStore.prototype.evict = function (key, callback) {
+	this._lru.del(key, true);
+	this.l1.delete(key, callback);
+};
+
+/**
+ * The keys this process keeps a copy of, in L1.
+ *
+ * @param {function(Error|null, string[])} callback
+ */
+TieredStore.prototype.localKeys = function (callback) {
+	this.l1.keys(callback);
+};
+
+/**
+ * Keys are listed from L2, it holds every entry that L1 does.
+ *
+ * @param {function(Error|null, string[])} callback
+ */
+TieredStore.prototype.keys = function (callback) {
+	this.l2.keys(callback);
+};
+
+/**
+ * @param {function(Error|null)} callback
+ */
+TieredStore.prototype.clear = function (callback) {
+	this._lru.clear();
+	this.l1.clear(function () {
+		this.l2.clear(callback);
+	}.bind(this));
+};
+
+/**
+ * @param {string} key
+ * @param {CacheEntry} cacheEntry
+ * @param {function(Error|null)} callback
+ * @private
+ */
+TieredStore.prototype._setL1 = function (key, cacheEntry, callback) {
+	this.l1.set(key, cacheEntry, function (err) {
+		this._lru.put(key, cacheEntry.size);
+		callback(err);
+	}.bind(this));
+};
+
+function noop() {
+}
+
+module.exports = TieredStore;
@@ -0,0 +1,205 @@
+var CountMinSketch = require('./CountMinSketch');
+
+/**
+ * W-TinyLFU (Window Tiny Least Frequently Used)
+ *
+ * New keys go into a small LRU window (1% of maxSize). Keys that fall out of the window have to compete to get into
+ * the main area: a key is only admitted if it has been seen more often than the key it would push out, frequencies are
+ * estimated with a CountMinSketch that also remembers keys that aren't cached anymore. The main area is a segmented
+ * LRU, keys used again while on probation are moved to the protected segment (80% of the main area).
+ *
+ * This keeps the hit rate of an LFU for popular keys while still letting bursts of new keys in, and doesn't let a scan
+ * over many one-off keys push out popular ones.
+ *
+ * @param {{maxSize, delCallback}} options
+ * @constructor
+ */
+function WTinyLfu(options) {
+	if (options === undefined) {
+		options = {}
+	}
+
+	this.maxSize = options.maxSize;
+	this.delCallback = options.delCallback;
+	this.windowMaxSize = Math.max(1, Math.floor(this.maxSize * 0.01));
+	this.protectedMaxSize = Math.floor((this.maxSize - this.windowMaxSize) * 0.8);
+	this.sketch = new CountMinSketch({width: this.maxSize});
+	this.clear();
+}
+
+/**
+ * Adds an entry, or updates its size. Counts as a use.
+ *
+ * @param key
+ * @param size
+ */
+WTinyLfu.prototype.put = function (key, size) {
+	var list = this._listOf(key);
+	if (list) {
+		this._remove(list, key);
+		this._add(list, key, size);
+		this._hit(key, list);
+	}
+	else {
+		this.sketch.increment(key);
+		this._add(this.window, key, size);
+	}
+	this._evict();
+};
+
+/**
+ * Records a use of an entry, adding it if it isn't there.
+ *
+ * @param key
+ * @param size
+ */
+WTinyLfu.prototype.touch = function (key, size) {
+	var list = this._listOf(key);
+	if (list) {
+		this._hit(key, list);
+		return this._evict();
+	}
+	this.put(key, size);
+};
+
+/**
+ * The loser between the last key moved out of the window (the candidate) and the oldest key on probation (the victim),
+ * by estimated frequency.
+ *
+ * @returns {string|null} The key that would be removed next.
+ */
+WTinyLfu.prototype.victim = function () {
+	var main = this.probation.size > 0 ? this.probation : this.protected;
+	if (main.size === 0) {
+		return this.window.size > 0 ? this.window.keys().next().value : null;
+	}
+	var victim = main.keys().next().value,
+		candidate = this.candidate;
+	if (!this.probation.has(candidate) || candidate === victim) {
+		return victim;
+	}
+	return this.sketch.frequency(candidate) > this.sketch.frequency(victim) ? victim : candidate;
+};
+
+/**
+ *
+ * @param key
+ * @param {boolean} [skipDelCallback]
+ */
+WTinyLfu.prototype.del = function (key, skipDelCallback) {
+	var list = this._listOf(key);
+	if (list) {
+		this._remove(list, key);
+		if (!skipDelCallback && typeof this.delCallback === "function") {
+			this.delCallback(key, {skipLruDelete: true});
+		}
+	}
+};
+
+/**
+ * Removes the next victim from the cache
+ */
+WTinyLfu.prototype.shift = function () {
+	var key = this.victim();
+	if (key !== null && key !== undefined) {
+		this.del(key);
+	}
+};
+
+/**
+ * Removes all entries from the cache.
+ *
+ * @returns {WTinyLfu}
+ */
+WTinyLfu.prototype.clear = function () {
+	// Maps of key -> size, least recently used first
+	this.window = new Map();
+	this.probation = new Map();
+	this.protected = new Map();
+	this._sizes = new Map([[this.window, 0], [this.probation, 0], [this.protected, 0]]);
+	this.candidate = null;
+	this.size = 0;
+	this.sketch.clear();
+	return this;
+};
+
+/**
+ * @param key
+ * @param {Map} list - The list the key is in.
+ * @private
+ */
+WTinyLfu.prototype._hit = function (key, list) {
+	var size = list.get(key);
+	this.sketch.increment(key);
+	this._remove(list, key);
+	if (list === this.window) {
+		return this._add(this.window, key, size);
+	}
+	this._add(this.protected, key, size);
+	// Demote the oldest protected keys back to probation
+	while (this.protected.size > 1 && this._sizes.get(this.protected) > this.protectedMaxSize) {
+		var demoted = this.protected.keys().next().value;
+		this._add(this.probation, demoted, this.protected.get(demoted));
+		this._remove(this.protected, demoted);
+	}
+};
+
+/**
+ * Moves keys from the window into probation, then removes entries until we're back under maxSize.
+ * @private
+ */
+WTinyLfu.prototype._evict = function () {
+	while (this.window.size > 1 && this._sizes.get(this.window) > this.windowMaxSize) {
+		var key = this.window.keys().next().value;
+		this._add(this.probation, key, this.window.get(key));
+		this._remove(this.window, key);
+		this.candidate = key;
+	}
+	while (this.size > this.maxSize) {
+		this.shift();
+	}
+};
+
+/**
+ * @param key
+ * @returns {Map|null}
+ * @private
+ */
+WTinyLfu.prototype._listOf = function (key) {
+	if (this.window.has(key)) {
+		return this.window;
+	}
+	if (this.probation.has(key)) {
+		return this.probation;
+	}
+	if (this.protected.has(key)) {
+		return this.protected;
+	}
+	return null;
+};
+
+/**
+ * @param {Map} list
+ * @param key
+ * @param size
+ * @private
+ */
+WTinyLfu.prototype._add = function (list, key, size) {
+	list.set(key, size);
+	this._sizes.set(list, this._sizes.get(list) + size);
+	this.size += size;
+};
+
+/**
+ * @param {Map} list
+ * @param key
+ * @private
+ */
+WTinyLfu.prototype._remove = function (list, key) {
+	var size = list.get(key);
+	list.delete(key);
+	this._sizes.set(list, this._sizes.get(list) - size);
+	this.size -= size;
+};
+
+module.exports = WTinyLfu;
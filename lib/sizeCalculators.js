@@ -0,0 +1,51 @@
+var v8 = require('v8');
+
+/**
+ * Size Calculators
+ *
+ * Built-in strategies for estimating the size of a value (in bytes) when `set` isn't given a `size`. Each one is a
+ * function(value, key) returning a Number, the `sizeCalculator` option can be one of these names or a custom function.
+ */
+
+/**
+ * Byte length of Buffers and strings (as UTF-8), other values fall back to their JSON length.
+ *
+ * @param value
+ * @returns {Number}
+ */
+function bytes(value) {
+	if (Buffer.isBuffer(value)) {
+		return value.length;
+	}
+	if (typeof value === 'string') {
+		return Buffer.byteLength(value);
+	}
+	return json(value);
+}
+
+/**
+ * Byte length of the value as JSON.
+ *
+ * @param value
+ * @returns {Number}
+ */
+function json(value) {
+	var serialized = JSON.stringify(value);
+	return serialized === undefined ? 0 : Buffer.byteLength(serialized);
+}
+
+/**
+ * Byte length of the value serialized with `v8.serialize`, closest to the size in memory but the slowest.
+ *
+ * @param value
+ * @returns {Number}
+ */
+function v8Serialize(value) {
+	return v8.serialize(value).length;
+}
+
+module.exports = {
+	bytes: bytes,
+	json:  json,
+	v8:    v8Serialize
+};
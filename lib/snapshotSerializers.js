@@ -0,0 +1,38 @@
+var v8 = require('v8');
+
+/**
+ * Snapshot Serializers
+ *
+ * Built-in formats for snapshot files, see CrispCache.saveSnapshot(). Each one is an object with
+ * `serialize(snapshot)` returning a Buffer and `deserialize(buffer)` returning the snapshot, the `snapshotSerializer`
+ * option can be one of these names or a custom object.
+ */
+
+/**
+ * Portable and readable, values need to survive JSON serialization.
+ */
+var json = {
+	serialize:   function (snapshot) {
+		return Buffer.from(JSON.stringify(snapshot));
+	},
+	deserialize: function (buffer) {
+		return JSON.parse(buffer.toString());
+	}
+};
+
+/**
+ * Keeps values JSON can't (Buffers, Dates, Maps, Sets...), but the file can only be read by a compatible Node version.
+ */
+var v8Serializer = {
+	serialize:   function (snapshot) {
+		return v8.serialize(snapshot);
+	},
+	deserialize: function (buffer) {
+		return v8.deserialize(buffer);
+	}
+};
+
+module.exports = {
+	json: json,
+	v8:   v8Serializer
+};
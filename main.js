@@ -1,8 +1,19 @@
 var CacheEntry = require('./lib/CacheEntry'),
+	CircuitBreaker = require('./lib/CircuitBreaker'),
+	ClusterBus = require('./lib/ClusterBus'),
+	ClusterFetchCoordinator = require('./lib/ClusterFetchCoordinator'),
+	crypto = require('crypto'),
 	debug = require('debug')('crisp-cache'),
 	EventEmitter = require('events'),
-	Lru = null,
-	util = require('util');
+	FetchLimiter = require('./lib/FetchLimiter'),
+	fs = require('fs'),
+	MemoryStore = require('./lib/MemoryStore'),
+	sizeCalculators = require('./lib/sizeCalculators'),
+	snapshotSerializers = require('./lib/snapshotSerializers'),
+	TagIndex = require('./lib/TagIndex'),
+	TieredStore = require('./lib/TieredStore'),
+	util = require('util'),
+	v8 = require('v8');
 
 /**
  *
@@ -19,19 +30,48 @@ function CrispCache(options) {
 		throw new Error("Must pass a fetcher option, a fetcher is a function(key, callback) that can retrieve a key from a repository");
 	}
 	// Wrap the fetcher with error handling,
-	// to catch synchronous errors
-	this.fetcher = function (key, cb) {
-		try {
-			return options.fetcher(key, cb);
-		}
-		catch (err) {
-			cb(err);
-		}
+	// to catch synchronous errors and support fetchers that return a Promise
+	this.fetcher = wrapFetcher(options.fetcher);
+	this.batchFetcher = options.batchFetcher ? wrapFetcher(options.batchFetcher) : null;
+
+	// Fetch Control
+	this.fetchTimeout = options.fetchTimeout || 0;
+	this.retryMaxAttempts = options.retryMaxAttempts || 1;
+	this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 100;
+	this.retryMaxDelay = options.retryMaxDelay !== undefined ? options.retryMaxDelay : 10000;
+	this.retryJitter = options.retryJitter !== undefined ? options.retryJitter : true;
+	this.retryFilter = options.retryFilter || function (err) {
+		return true;
 	};
 
+	// Caps how many fetches run at once, the rest wait in a queue (foreground fetches before background refreshes)
+	this.maxConcurrentFetches = options.maxConcurrentFetches || 0;
+	if (this.maxConcurrentFetches > 0) {
+		this._fetchLimiter = new FetchLimiter({maxConcurrent: this.maxConcurrentFetches});
+	}
+
+	// Circuit breaker
+	if (options.circuitBreaker) {
+		var circuitBreakerOptions = copy(options.circuitBreaker === true ? {} : options.circuitBreaker);
+		circuitBreakerOptions.stateChangeCallback = function (state, previousState) {
+			this._emit(CrispCache.EVENT_CIRCUIT_STATE_CHANGE, {state: state, previousState: previousState});
+		}.bind(this);
+		this._circuitBreaker = new CircuitBreaker(circuitBreakerOptions);
+	}
+
+	// Automatic batching, collects fetches within a tick (or batchWindow) and passes them to the batchFetcher
+	if (options.autoBatch && !this.batchFetcher) {
+		throw new Error("Must pass a batchFetcher option to use autoBatch, a batchFetcher is a function(keys, callback) that can retrieve many keys from a repository");
+	}
+	this.autoBatch = Boolean(options.autoBatch);
+	this.batchWindow = options.batchWindow || 0;
+	this._fetchQueue = [];
+
 	// Stale Control
 	this.defaultStaleTtl = options.defaultStaleTtl;
 	this.staleTtlVariance = options.staleTtlVariance || options.ttlVariance || 0;
+	this.earlyRefresh = options.earlyRefresh || false;
+	this.earlyRefreshBeta = options.earlyRefreshBeta || 1;
 	this.staleCheckInterval = options.staleCheckInterval;
 	if (this.staleCheckInterval) {
 		setInterval(this._staleCheck.bind(this), this.staleCheckInterval);
@@ -40,22 +80,82 @@ function CrispCache(options) {
 	// Expires Control
 	this.defaultExpiresTtl = options.defaultExpiresTtl || 0;
 	this.expiresTtlVariance = options.expiresTtlVariance || options.ttlVariance || 0;
+	this.defaultStaleIfErrorTtl = options.defaultStaleIfErrorTtl || 0;
+	// Sliding expiration, hits restart the expiresTtl of entries
+	this.sliding = options.sliding || false;
 	this.evictCheckInterval = options.evictCheckInterval || 0;
 	if (this.evictCheckInterval && this.evictCheckInterval > 0) {
 		setInterval(this._evictCheck.bind(this), this.evictCheckInterval);
 	}
 
 	this.maxSize = options.maxSize;
-	if (this.maxSize) {
-		Lru = require('./lib/Lru');
-		this._lru = new Lru({
-			maxSize:     this.maxSize,
-			delCallback: this.del.bind(this)
-		});
+	this.sizeCalculator = getSizeCalculator(options.sizeCalculator);
+
+	// Heap pressure, evicts entries while the heap is over heapThreshold
+	this.heapCheckInterval = options.heapCheckInterval || 0;
+	this.heapThreshold = options.heapThreshold || 0.8;
+	this.heapEvictRatio = options.heapEvictRatio || 0.1;
+	if (this.heapCheckInterval > 0) {
+		setInterval(this._heapCheck.bind(this), this.heapCheckInterval);
 	}
 
-	this.cache = {};
+	if (this.maxSize || this.heapCheckInterval > 0) {
+		var EvictionPolicy = getEvictionPolicy(options.evictionPolicy || 'lru');
+		this._lru = new EvictionPolicy({
+			// Without a maxSize, entries are only evicted under heap pressure
+			maxSize:     this.maxSize || Infinity,
+			delCallback: function (key, options) {
+				this._evict(key, {skipLruDelete: options && options.skipLruDelete}, noop);
+			}.bind(this)
+		});
+	}
+	// Sizes of the entries set in this process (key -> size) and their total, reported by getUsage()
+	this._sizes = (this._lru || this.sizeCalculator) ? {} : null;
+	this._totalSize = 0;
+
+	this.store = options.store || new MemoryStore();
+	if (options.l1MaxSize) {
+		// Two-tier mode, keep a small in-process LRU in front of the store.
+		this.store = new TieredStore({
+			maxSize: options.l1MaxSize,
+			store:   this.store
+		});
+	}
 	this.locks = {};
+	// key -> updates waiting for the one running, see update() and cas()
+	this._updates = {};
+	// key -> AbortController of the fetch, aborted when every caller waiting on it has aborted
+	this._fetchControllers = {};
+	// How many keys to scan before yielding to the event loop, see keys() and delByPattern()
+	this.scanChunkSize = options.scanChunkSize || 1000;
+	// Which keys were set with which tags, kept in-process
+	this._tagIndex = new TagIndex();
+
+	// Negative caching
+	this.errorTtl = options.errorTtl || 0;
+	this.negativeTtl = options.negativeTtl || 0;
+
+	// Invalidation bus, shares deletes, invalidations and clears with other CrispCaches (eg. other cluster workers)
+	this.instanceId = options.instanceId || crypto.randomBytes(8).toString('hex');
+	this.invalidationBus = options.invalidationBus || null;
+	this.invalidationChannel = options.invalidationChannel || 'crisp-cache';
+	if (this.invalidationBus) {
+		this.invalidationBus.subscribe(this._onBusMessage.bind(this));
+	}
+
+	// Fetch coordination, coalesces fetches of a key across processes (eg. cluster workers), see ClusterFetchCoordinator
+	this.fetchCoordinator = options.fetchCoordinator || null;
+
+	// Snapshots, see saveSnapshot() and loadSnapshot()
+	this.snapshotSerializer = getSnapshotSerializer(options.snapshotSerializer || 'json');
+	this.persistPath = options.persistPath || null;
+	this.persistInterval = options.persistInterval || 0;
+	if (this.persistInterval > 0) {
+		if (!this.persistPath) {
+			throw new Error("Must pass a persistPath option to use persistInterval, the file to save snapshots to");
+		}
+		setInterval(this._persist.bind(this), this.persistInterval);
+	}
 
 	// Initialize stats
 	this.resetUsage();
@@ -69,21 +169,42 @@ function CrispCache(options) {
 util.inherits(CrispCache, EventEmitter);
 
 CrispCache.EVENT_HIT = 'hit';
+CrispCache.EVENT_NEGATIVE_HIT = 'negativeHit';
 CrispCache.EVENT_MISS = 'miss';
 CrispCache.EVENT_FETCH = 'fetch';
 CrispCache.EVENT_FETCH_DONE = 'fetchDone';
+CrispCache.EVENT_FETCH_TIMEOUT = 'fetchTimeout';
+CrispCache.EVENT_FETCH_RETRY = 'fetchRetry';
+CrispCache.EVENT_CIRCUIT_STATE_CHANGE = 'circuitStateChange';
+CrispCache.EVENT_EARLY_REFRESH = 'earlyRefresh';
 CrispCache.EVENT_STALE_CHECK = 'staleCheck';
 CrispCache.EVENT_STALE_CHECK_DONE = 'staleCheckDone';
 CrispCache.EVENT_EVICT_CHECK = 'evictCheck';
 CrispCache.EVENT_EVICT_CHECK_DONE = 'evictCheckDone';
 CrispCache.EVENT_DELETE = 'delete';
+CrispCache.EVENT_HEAP_EVICT = 'heapEvict';
+CrispCache.EVENT_BUS_MESSAGE = 'busMessage';
+CrispCache.EVENT_WARM_PROGRESS = 'warmProgress';
+CrispCache.EVENT_WARM_DONE = 'warmDone';
+
+/**
+ * The entries object of the default memory store, kept for backwards compatibility.
+ * Undefined when a different store is used.
+ */
+Object.defineProperty(CrispCache.prototype, 'cache', {
+	get: function () {
+		return this.store.cache;
+	}
+});
 
 /**
  *
  * @param {string} key
- * @param {{skipFetch:boolean}} [options]
- * @param {valueCb} callback
- * @returns {*}
+ * @param {{skipFetch:boolean, forceFetch:boolean, fetchTimeout:Number, signal:AbortSignal}} [options] - Aborting the
+ *        `signal` calls back with an AbortError right away, if this was the last caller waiting on the fetch it's
+ *        aborted too.
+ * @param {valueCb} [callback] - If omitted, a Promise is returned
+ * @returns {Promise|*}
  */
 CrispCache.prototype.get = function (key, options, callback) {
 	//Parse Args
@@ -93,85 +214,167 @@ CrispCache.prototype.get = function (key, options, callback) {
 		callback = options;
 		options = {};
 	}
+	if (options === undefined) {
+		options = {};
+	}
 	if (!callback) {
-		throw new Error('Unable to retrieve "' + key + '" from cache: no callback provided');
+		return toPromise(this.get.bind(this, key, options));
+	}
+	if (options.signal && options.signal.aborted) {
+		return callback(abortError(key));
 	}
 
-	this.stats.get.count++;
-	if (this.cache[key] === undefined || options.forceFetch) {
-		//Cache miss.
-		debug("- MISS");
-		this.stats.get.miss++;
+	this._get(key, options, callback, this._fetch.bind(this, key));
+};
 
-		this._emit(CrispCache.EVENT_MISS, {key: key});
+/**
+ * Looks up a key in the store and works out what to do with it based on its state.
+ *
+ * @param {string} key
+ * @param {{skipFetch:boolean, forceFetch:boolean, fetchTimeout:Number, signal:AbortSignal}} options
+ * @param {valueCb} callback
+ * @param {function({}, valueCb=)} fetch - Called to fetch the key, with the options to set it with, and a callback
+ *                                       when something is waiting on the value (not a background refresh).
+ * @private
+ */
+CrispCache.prototype._get = function (key, options, callback, fetch) {
+	if (options.fetchTimeout !== undefined) {
+		fetch = withFetchTimeout(fetch, options.fetchTimeout);
+	}
+	if (options.signal) {
+		// Waiting on a fetch can be aborted, background refreshes keep going
+		var fetchUntilAborted = fetch;
+		fetch = function (fetchOptions, fetchCallback) {
+			if (!fetchCallback) {
+				return fetchUntilAborted(fetchOptions);
+			}
+			if (options.signal.aborted) {
+				// Aborted while looking the key up in the store
+				return callback(abortError(key));
+			}
+			fetchUntilAborted(fetchOptions, this._abortable(key, options.signal, fetchCallback, callback));
+		}.bind(this);
+	}
 
-		if (options.skipFetch) {
-			debug(" - Skipping fetch, returning undefined");
-			return callback(null, undefined);
-		}
-		else {
-			//Fetch this key
-			debug(" - Fetching, calling back when done");
-			return this._fetch(key, callback);
+	this.stats.get.count++;
+	this.store.get(key, function (err, cacheEntry) {
+		if (err) {
+			debug("Issue with store, resolving in error");
+			return callback(err);
 		}
-	}
-	else {
-		//Cache hit, what is the state?
-		var cacheEntry = this.cache[key];
 
-		if (cacheEntry.isValid()) {
-			debug("- Hit");
-			this.stats.get.hit++;
+		if (cacheEntry === undefined || options.forceFetch) {
+			//Cache miss.
+			debug("- MISS");
+			this.stats.get.miss++;
 
-			this._emit(CrispCache.EVENT_HIT, {key: key, entry: cacheEntry});
+			this._emit(CrispCache.EVENT_MISS, {key: key});
 
-			if (this._lru) {
-				this._lru.put(key, cacheEntry.size);
+			if (options.skipFetch) {
+				debug(" - Skipping fetch, returning undefined");
+				return callback(null, undefined);
+			}
+			else {
+				//Fetch this key
+				debug(" - Fetching, calling back when done");
+				return fetch({version: cacheEntry ? cacheEntry.version + 1 : 1}, callback);
 			}
-			return callback(null, cacheEntry.getValue());
 		}
-		else if (cacheEntry.isStale()) {
-			//Stale, try and update the cache but return what we have.
-			debug("- Hit, Stale");
+		else {
+			//Cache hit, what is the state?
+			if (cacheEntry.isNegative() && !cacheEntry.isExpired()) {
+				debug("- Negative Hit");
+				// Counted even without errorTtl or negativeTtl, entries can come from a snapshot or a shared store
+				this.stats.get.negative = (this.stats.get.negative || 0) + 1;
 
-			this.stats.get.hit++;
-			this.stats.get.stale++;
+				this._emit(CrispCache.EVENT_NEGATIVE_HIT, {key: key, entry: cacheEntry});
 
-			this._emit(CrispCache.EVENT_HIT, {key: key, entry: cacheEntry});
+				if (this._lru) {
+					this._lru.touch(key, cacheEntry.size);
+				}
+				return callback(cacheEntry.error, undefined);
+			}
+			else if (cacheEntry.isValid()) {
+				debug("- Hit");
+				this.stats.get.hit++;
 
-			debug("- Stale, returning current value but re-fetching");
-			if (this._lru) {
-				this._lru.put(key, cacheEntry.size);
+				this._emit(CrispCache.EVENT_HIT, {key: key, entry: cacheEntry});
+
+				if (this._lru) {
+					this._lru.touch(key, cacheEntry.size);
+				}
+				if (cacheEntry.sliding) {
+					this._touch(key, cacheEntry, noop);
+				}
+				callback(null, cacheEntry.getValue());
+
+				if (this.earlyRefresh && cacheEntry.shouldRefreshEarly(this.earlyRefreshBeta)) {
+					debug("- Refreshing early");
+					this._emit(CrispCache.EVENT_EARLY_REFRESH, {key: key, entry: cacheEntry});
+					fetch(refreshOptions(cacheEntry));
+				}
 			}
-			callback(null, cacheEntry.getValue());
-			this._fetch(key, {
-				staleTtl:   cacheEntry.staleTtl,
-				expiresTtl: cacheEntry.expiresTtl
-			});
-		}
-		else if (cacheEntry.isExpired()) {
-			debug("- Hit, but expired");
-			this.stats.get.miss++;
+			else if (cacheEntry.isStale()) {
+				//Stale, try and update the cache but return what we have.
+				debug("- Hit, Stale");
 
-			this._emit(CrispCache.EVENT_MISS, {key: key, entry: cacheEntry});
-			if (options.skipFetch) {
-				//Don't re-fetch
-				debug(" - Skipping fetch, deleting and returning undefined");
-				this.del(key);
-				return callback(null, undefined);
+				this.stats.get.hit++;
+				this.stats.get.stale++;
+
+				this._emit(CrispCache.EVENT_HIT, {key: key, entry: cacheEntry});
+
+				debug("- Stale, returning current value but re-fetching");
+				if (this._lru) {
+					this._lru.touch(key, cacheEntry.size);
+				}
+				if (cacheEntry.sliding) {
+					this._touch(key, cacheEntry, noop);
+				}
+				callback(null, cacheEntry.getValue());
+				fetch(refreshOptions(cacheEntry));
 			}
-			else {
-				//Fetch this key
-				debug(" - Fetching, will callback when we have it");
-				this.del(key, function (err, success) {
-					this._fetch(key, {
-						staleTtl:   cacheEntry.staleTtl,
-						expiresTtl: cacheEntry.expiresTtl
-					}, callback);
-				}.bind(this));
+			else if (cacheEntry.isExpired()) {
+				debug("- Hit, but expired");
+				this.stats.get.miss++;
+
+				this._emit(CrispCache.EVENT_MISS, {key: key, entry: cacheEntry});
+				if (options.skipFetch) {
+					//Don't re-fetch
+					debug(" - Skipping fetch, deleting and returning undefined");
+					this.del(key, {skipBroadcast: true}, noop);
+					return callback(null, undefined);
+				}
+				else {
+					//Fetch this key
+					debug(" - Fetching, will callback when we have it");
+					this.del(key, {skipBroadcast: true}, function (err, success) {
+						fetch(refreshOptions(cacheEntry), callback);
+					});
+				}
+			}
+			else if (cacheEntry.isStaleIfError()) {
+				debug("- Hit, but expired, can be used if fetching fails");
+				this.stats.get.miss++;
+
+				this._emit(CrispCache.EVENT_MISS, {key: key, entry: cacheEntry});
+				if (options.skipFetch) {
+					debug(" - Skipping fetch, returning undefined");
+					return callback(null, undefined);
+				}
+				else {
+					//Fetch this key, keeping the entry around in case it fails
+					debug(" - Fetching, will callback with the expired value if it fails");
+					fetch(refreshOptions(cacheEntry), function (err, value) {
+						if (err) {
+							debug("Issue with fetcher, using expired value for " + key);
+							return callback(null, cacheEntry.getValue());
+						}
+						callback(null, value);
+					});
+				}
 			}
 		}
-	}
+	}.bind(this));
 };
 
 /**
@@ -180,16 +383,24 @@ CrispCache.prototype.get = function (key, options, callback) {
  * Sets a value to a key.
  * @param {string} key
  * @param value
- * @param {{staleTtl:Number, expiresTtl:Number}}options
- * @param {valueCb} [callback]
+ * @param {{staleTtl:Number, expiresTtl:Number}} [options]
+ * @param {successCb} [callback] - If omitted, a Promise is returned
+ * @returns {Promise|undefined}
  */
 CrispCache.prototype.set = function (key, value, options, callback) {
 
-	var done = function() {
+	var done = function(err) {
+		if (err) {
+			debug("Issue with store, resolving in error");
+			this._resolveLocks(key, undefined, err);
+			return callback(err);
+		}
 		this._resolveLocks(key, value);
-		if (callback) {
-			callback(null, true);
+		if (!options.skipBroadcast) {
+			// Other caches drop their copy, they'll fetch the new value when they need it
+			this._broadcast({type: 'delete', key: key});
 		}
+		callback(null, true);
 	}.bind(this);
 
 	//Parse Args
@@ -198,33 +409,59 @@ CrispCache.prototype.set = function (key, value, options, callback) {
 		callback = options;
 		options = {};
 	}
+	if (options === undefined) {
+		options = {};
+	}
+	if (!callback) {
+		return toPromise(this.set.bind(this, key, value, options));
+	}
 	// Set default options
 	'staleTtl' in options || (options.staleTtl = this._getDefaultStaleTtl());
 	'expiresTtl' in options || (options.expiresTtl = this._getDefaultExpiresTtl());
-	'size' in options || (options.size = 1);
+	'size' in options || (options.size = this._getSize(key, value));
+	'staleIfErrorTtl' in options || (options.staleIfErrorTtl = this.defaultStaleIfErrorTtl);
+	'sliding' in options || (options.sliding = this.sliding);
 
 	if (options.expiresTtl > 0) {
 		this.stats.set.count++;
-		var cacheEntry = new CacheEntry({
-			value:      value,
-			staleTtl:   options.staleTtl,
-			expiresTtl: options.expiresTtl,
-			size:       options.size
-		});
-		this.cache[key] = cacheEntry;
-		if (this._lru) {
-			this._lru.put(key, cacheEntry.size);
-		}
-		done();
-	}
-	else if(this.cache[key]) {
-		// Have an entry but want to set the TTL to 0
-		this.del(key, function() {
-			done();
-		});
+		this._nextVersion(key, options, function (err, version) {
+			if (err) {
+				return done(err);
+			}
+			var cacheEntry = new CacheEntry({
+				value:           value,
+				staleTtl:        options.staleTtl,
+				expiresTtl:      options.expiresTtl,
+				staleIfErrorTtl: options.staleIfErrorTtl,
+				size:            options.size,
+				negative:        options.negative,
+				fetchDuration:   options.fetchDuration,
+				tags:            options.tags,
+				version:         version,
+				sliding:         options.sliding
+			});
+			this.store.set(key, cacheEntry, function (err) {
+				if (!err) {
+					this._tagIndex.set(key, cacheEntry.tags);
+					this._trackSize(key, cacheEntry.size);
+					if (this._lru) {
+						this._lru.put(key, cacheEntry.size);
+					}
+				}
+				done(err);
+			}.bind(this));
+		}.bind(this));
 	}
 	else {
-		done();
+		this.store.get(key, function (err, existingEntry) {
+			if (err || !existingEntry) {
+				return done(err);
+			}
+			// Have an entry but want to set the TTL to 0
+			this.del(key, {skipBroadcast: true}, function(err) {
+				done(err);
+			});
+		}.bind(this));
 	}
 };
 
@@ -233,13 +470,11 @@ CrispCache.prototype.set = function (key, value, options, callback) {
  *
  * Removes and item from the cache, ensures all locks are cleaned up before removing.
  * @param {string} key
- * @param {{}} options
- * @param {valueCb} [callback]
- * @returns {*}
+ * @param {{skipBroadcast:boolean}} [options]
+ * @param {successCb} [callback] - If omitted, a Promise is returned
+ * @returns {Promise|*}
  */
 CrispCache.prototype.del = function (key, options, callback) {
-	var entry = this.cache[key];
-
 	if (typeof options === 'function' && !callback) {
 		callback = options;
 		options = {};
@@ -247,242 +482,1654 @@ CrispCache.prototype.del = function (key, options, callback) {
 	if (options === undefined) {
 		options = {}
 	}
+	if (!callback) {
+		return toPromise(this.del.bind(this, key, options));
+	}
 
 	if (this._lru && !options.skipLruDelete) {
 		this._lru.del(key, true);
 	}
-	delete this.cache[key];
-	this._resolveLocks(key, undefined);
+	this.store.get(key, function (err, entry) {
+		if (err) {
+			return callback(err);
+		}
+		this.store.delete(key, function (err) {
+			if (err) {
+				return callback(err);
+			}
+			if (!options.skipLocks) {
+				this._resolveLocks(key, undefined);
+			}
+			this._tagIndex.remove(key);
+			this._untrackSize(key);
 
-	if (entry) {
-		this._emit(CrispCache.EVENT_DELETE, { key: key, entry: entry });
-	}
+			if (entry) {
+				this._emit(CrispCache.EVENT_DELETE, { key: key, entry: entry });
+			}
+			if (!options.skipBroadcast) {
+				this._broadcast({type: 'delete', key: key});
+			}
 
-	if (callback) {
-		return callback(null, true);
-	}
+			return callback(null, true);
+		}.bind(this));
+	}.bind(this));
 };
 
 /**
- * Clears the cache of all entries.
+ * Touch
  *
- * @todo Should probably have an event on this.
- * @param callback
- * @returns {*}
+ * Restarts the expiresTtl of a key from now, without reading its value, like a hit does for sliding entries. Only
+ * entries that can still be used (valid or stale) are touched.
+ *
+ * @param {string} key
+ * @param {successCb} [callback] - Called with true if the key was touched, false if it's missing or expired. If
+ *                                 omitted, a Promise is returned
+ * @returns {Promise|undefined}
  */
-CrispCache.prototype.clear = function (callback) {
-	this.cache = {};
-	if (this._lru) {
-		this._lru.clear();
+CrispCache.prototype.touch = function (key, callback) {
+	if (!callback) {
+		return toPromise(this.touch.bind(this, key));
 	}
-	return callback(null, true);
+	this.store.get(key, function (err, cacheEntry) {
+		if (err) {
+			return callback(err);
+		}
+		if (!cacheEntry || cacheEntry.isNegative() || !(cacheEntry.isValid() || cacheEntry.isStale())) {
+			return callback(null, false);
+		}
+		if (this._lru) {
+			this._lru.touch(key, cacheEntry.size);
+		}
+		this._touch(key, cacheEntry, function (err) {
+			callback(err, !err);
+		});
+	}.bind(this));
 };
 
 /**
+ * Update
  *
- * @param {{}} [options={}]
- * @param {number} [options.keysLimit=0] enable key metrics if > 0
- * @returns {*}
+ * Atomic read-modify-write. Waits for the lock on the key (the one fetches hold), calls `mutator` with the current
+ * value and sets what it returns, then releases the lock. Updates of the same key run one at a time, and gets that
+ * miss while an update runs get its result (or fetch the key if it fails). The entry keeps its TTLs and tags unless `options` has others.
+ *
+ * @param {string} key
+ * @param {function(*, CacheEntry=):*} mutator - Called with the current value (undefined if the key is missing or
+ *                                               expired) and its entry, returns the new value or a Promise of it.
+ * @param {{staleTtl:Number, expiresTtl:Number, staleIfErrorTtl:Number, size:Number, tags:string[]}} [options] - Set
+ *        options for the new value.
+ * @param {valueCb} [callback] - Called with the new value. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
  */
-CrispCache.prototype.getUsage = function (options) {
-	if(options === undefined) {
+CrispCache.prototype.update = function (key, mutator, options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
 		options = {};
 	}
-	if(options.keysLimit === undefined) {
-		options.keysLimit = 0;
+	if (options === undefined) {
+		options = {};
 	}
-
-	// Update our stats object
-	if (this._lru) {
-		this.stats.size = this._lru.size;
-		this.stats.maxSize = this._lru.maxSize;
+	if (!callback) {
+		return toPromise(this.update.bind(this, key, mutator, options));
 	}
-	this.stats.hitRatio = this.stats.get.hit / this.stats.get.count;
-	this.stats.getSetRatio = this.stats.get.count / (this.stats.get.count + this.stats.set.count);
-
-	var validKeys;
-	if (options.keysLimit > 0) {
-		var keyMetrics = [];
-		if (this._lru) {
-			validKeys = Object.keys(this.cache)
-				.map(function (key) {
-					var cacheEntry = this.cache[key];
-					if(cacheEntry.isValid()) {
-						cacheEntry.key = key;
-						return cacheEntry;
-					}
-					return null;
-				}.bind(this))
-				.filter(function (cacheEntry) {
-					return Boolean(cacheEntry);
-				}.bind(this));
-
-			this.stats.count = validKeys.length;
 
-			keyMetrics = validKeys.sort(function (cacheEntryA, cacheEntryB) {
-					return cacheEntryB.size - cacheEntryA.size
-				})
-				.slice(0, options.keysLimit)
-				.map(function (cacheEntry) {
-					return {
-						key:  cacheEntry.key,
-						size: cacheEntry.size
-					}
-				});
+	this._withLock(key, function (err, cacheEntry, release) {
+		if (err) {
+			release(undefined, err);
+			return callback(err);
 		}
-		else {
-			validKeys = Object.keys(this.cache)
-				.filter(function (key) {
-					return this.cache[key].isValid();
-				}.bind(this));
-			this.stats.count = validKeys.length;
-			keyMetrics = validKeys.sort()
-				.slice(0, options.keysLimit)
-				.map(function(cacheEntryKey) {
-					return { key: cacheEntryKey }
-				})
-		}
-		this.stats.keys = keyMetrics;
-	}
-	else {
-		this.stats.count = Object.keys(this.cache).length;
-	}
-
-	return this.stats;
-};
-
-/**
- * Resets usage stats,
- * so that calls to `getUsage` will only reflect activity
- * after `resetUsage` is called.
- */
-CrispCache.prototype.resetUsage = function() {
-	this.stats = {
-		size:        null,
-		maxSize:     null,
-		hitRatio:    0,
-		getSetRatio: 0,
-		get:         {
-			count: 0,
-			hit:   0,
-			miss:  0,
-			stale: 0
-		},
-		set:         {
-			count: 0
-		},
-		count:    0,
-		keys:        []
-	};
+		var current = currentValue(cacheEntry);
+		mutate(mutator, current, cacheEntry, function (err, value) {
+			if (err) {
+				release();
+				return callback(err);
+			}
+			this._setLocked(key, value, cacheEntry, options, function (err, value) {
+				release(value);
+				callback(err, value);
+			});
+		}.bind(this));
+	}.bind(this));
 };
 
 /**
- * Fetch
+ * Compare and Set
  *
- * Fetches a key from the data provider, the via the provided fetch callable when this object was created.
+ * Sets a value only if the key is still at `expectedVersion`, so concurrent writers can find out another one got there
+ * first. Every write to a key gives it a new version, read the current one with getVersion().
  *
  * @param {string} key
- * @param {{}|function} options - An options object or a callback
- * @param {valueCb} [callback] - If options, an error first callback
- * @returns {Number|*}
- * @private
+ * @param {Number} expectedVersion - 0 for a key that's missing or expired.
+ * @param value
+ * @param {{staleTtl:Number, expiresTtl:Number, staleIfErrorTtl:Number, size:Number, tags:string[]}} [options]
+ * @param {successCb} [callback] - Called with true if the value was set, false if the key had another version. If
+ *                                 omitted, a Promise is returned
+ * @returns {Promise|undefined}
  */
-CrispCache.prototype._fetch = function (key, options, callback) {
-	//Parse Args
+CrispCache.prototype.cas = function (key, expectedVersion, value, options, callback) {
 	if (typeof options === 'function' && !callback) {
 		callback = options;
 		options = {};
 	}
-
-	if (callback === undefined) {
-		callback = function (err, value) {
-			debug('Fetched ' + key + ': ' + value);
-		}
+	if (options === undefined) {
+		options = {};
+	}
+	if (!callback) {
+		return toPromise(this.cas.bind(this, key, expectedVersion, value, options));
 	}
-	if (this._lock(key, callback)) {
-		this._emit(CrispCache.EVENT_FETCH, {key: key});
-		this.fetcher(key, function (err, value, fetcherOptions) {
-			this._emit(CrispCache.EVENT_FETCH_DONE, {key: key, value: value, options: fetcherOptions});
-			if (err) {
-				debug("Issue with fetcher, resolving in error");
-				this._resolveLocks(key, undefined, err);
-				return;
-			}
-
-			debug("Got value: " + value + " from fetcher for key: " + key);
 
-			if (fetcherOptions) {
-				var staleTtl = fetcherOptions.staleTtl,
-					expiresTtl = fetcherOptions.expiresTtl,
-					size = fetcherOptions.size;
+	this._withLock(key, function (err, cacheEntry, release) {
+		if (err) {
+			release(undefined, err);
+			return callback(err);
+		}
+		if (currentVersion(cacheEntry) !== expectedVersion) {
+			debug("CAS " + key + " expected version " + expectedVersion + ", found " + currentVersion(cacheEntry));
+			release();
+			return callback(null, false);
+		}
+		this._setLocked(key, value, cacheEntry, options, function (err) {
+			release(value);
+			callback(err, !err);
+		});
+	}.bind(this));
+};
 
-				if (staleTtl !== undefined) {
-					options.staleTtl = staleTtl;
-				}
-				if (expiresTtl !== undefined) {
-					options.expiresTtl = expiresTtl;
-				}
-				if (size !== undefined) {
-					options.size = size;
-				}
-			}
-			this.set(key, value, options);
-		}.bind(this));
+/**
+ * Get Version
+ *
+ * Reads the current value and version of a key from the cache, without fetching it.
+ *
+ * @param {string} key
+ * @param {valueCb} [callback] - Called with `{value, version}`, the version is 0 for a key that's missing or expired.
+ *                               If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.getVersion = function (key, callback) {
+	if (!callback) {
+		return toPromise(this.getVersion.bind(this, key));
 	}
+	this.store.get(key, function (err, cacheEntry) {
+		if (err) {
+			return callback(err);
+		}
+		callback(null, {value: currentValue(cacheEntry), version: currentVersion(cacheEntry)});
+	});
 };
 
 /**
- * Stale Check
+ * Clears the cache of all entries.
  *
- * Checks for stale keys and will try and update them. Should be called on an interval.
- * @private
+ * @todo Should probably have an event on this.
+ * @param {{skipBroadcast:boolean}} [options]
+ * @param {successCb} [callback] - If omitted, a Promise is returned
+ * @returns {Promise|*}
  */
-CrispCache.prototype._staleCheck = function () {
-	//This is a little gross for efficiency, this.cache will just have basic keys on it, no need to double check.
-	debug("Checking for stale cache entries...");
-	this._emit(CrispCache.EVENT_STALE_CHECK);
-	var cacheEntry,
-		refetchKeys = [];
-	for (var key in this.cache) {
-		cacheEntry = this.cache[key];
-		if (cacheEntry.isStale()) {
-			debug("- " + key + " was found to be stale, re-fetching");
-			this._fetch(key, {
-				staleTtl:   cacheEntry.staleTtl,
-				expiresTtl: cacheEntry.expiresTtl
-			});
-			if (this.emitEvents) {
-				refetchKeys.push(key);
-			}
-		}
+CrispCache.prototype.clear = function (options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+	if (options === undefined) {
+		options = {};
+	}
+	if (!callback) {
+		return toPromise(this.clear.bind(this, options));
+	}
+	if (this._lru) {
+		this._lru.clear();
+	}
+	if (this._sizes) {
+		this._sizes = {};
+		this._totalSize = 0;
+	}
+	this._tagIndex.clear();
+	this.store.clear(function (err) {
+		if (err) {
+			return callback(err);
+		}
+		if (!options.skipBroadcast) {
+			this._broadcast({type: 'clear'});
+		}
+		return callback(null, true);
+	}.bind(this));
+};
+
+/**
+ * Keys
+ *
+ * Lists the keys in the cache (including stale and expired entries that haven't been removed yet), optionally only
+ * those matching `pattern`. Keys are matched in chunks of `scanChunkSize`, yielding to the event loop in between.
+ *
+ * @param {RegExp|string} [pattern] - A RegExp, or a glob string where `*` matches anything and `?` one character.
+ * @param {valueCb} [callback] - Called with an array of keys. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.keys = function (pattern, callback) {
+	if (typeof pattern === 'function' && !callback) {
+		callback = pattern;
+		pattern = undefined;
+	}
+	if (!callback) {
+		return toPromise(this.keys.bind(this, pattern));
+	}
+
+	this._scan(pattern === undefined ? '*' : pattern, function (keys, done) {
+		done(null);
+	}, callback);
+};
+
+/**
+ * Delete By Prefix
+ *
+ * Removes every entry whose key starts with `prefix`.
+ *
+ * @param {string} prefix
+ * @param {valueCb} [callback] - Called with the deleted keys. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.delByPrefix = function (prefix, callback) {
+	if (!callback) {
+		return toPromise(this.delByPrefix.bind(this, prefix));
+	}
+
+	this.invalidate({prefix: prefix}, callback);
+};
+
+/**
+ * Delete By Pattern
+ *
+ * Removes every entry whose key matches `pattern`.
+ *
+ * @param {RegExp|string} pattern - A RegExp, or a glob string where `*` matches anything and `?` one character.
+ * @param {valueCb} [callback] - Called with the deleted keys. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.delByPattern = function (pattern, callback) {
+	if (!callback) {
+		return toPromise(this.delByPattern.bind(this, pattern));
+	}
+
+	this.invalidate({pattern: pattern}, callback);
+};
+
+/**
+ * Scan
+ *
+ * Reads the keys from the store and calls `iterator` with each chunk of matching keys, waiting for it to call back and
+ * yielding to the event loop before the next chunk.
+ *
+ * @param {RegExp|string|function(string):boolean} pattern
+ * @param {function(string[], function(Error|null))} iterator
+ * @param {valueCb} callback - Called with every matching key
+ * @param {boolean} [local] - Only scan the keys this process keeps a copy of
+ * @private
+ */
+CrispCache.prototype._scan = function (pattern, iterator, callback, local) {
+	var match = toMatcher(pattern),
+		listKeys = local && this.store.localKeys ? this.store.localKeys : this.store.keys;
+	listKeys.call(this.store, function (err, keys) {
+		if (err) {
+			return callback(err);
+		}
+		var matched = [],
+			index = 0;
+		var nextChunk = function () {
+			var chunk = keys.slice(index, index + this.scanChunkSize).filter(match);
+			index += this.scanChunkSize;
+			iterator.call(this, chunk, function (err) {
+				if (err) {
+					return callback(err);
+				}
+				matched = matched.concat(chunk);
+				if (index >= keys.length) {
+					return callback(null, matched);
+				}
+				setImmediate(nextChunk);
+			});
+		}.bind(this);
+		nextChunk();
+	}.bind(this));
+};
+
+/**
+ * Invalidate
+ *
+ * Deletes a key, or every key with a prefix, matching a pattern or with a tag, firing the usual delete events. With
+ * `soft`, entries are marked stale instead: the next get returns the current value right away and re-fetches it in the
+ * background, like an entry that went stale on its own.
+ *
+ * @param {string|{prefix:string}|{pattern:(RegExp|string)}|{tag:string}} target - A key, or which keys to invalidate.
+ * @param {{soft:boolean, skipBroadcast:boolean, local:boolean}} [options] - `local` only drops this process' copies of
+ *                                                                        the keys, for invalidation bus messages.
+ * @param {valueCb} [callback] - Called with the invalidated keys. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.invalidate = function (target, options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+	if (options === undefined) {
+		options = {};
+	}
+	if (!callback) {
+		return toPromise(this.invalidate.bind(this, target, options));
+	}
+
+	var local = options.local && typeof this.store.evict === 'function';
+	var invalidateKey = local ? function (key, done) {
+		// Another process has invalidated the shared copy, drop ours so the next get reads that one
+		this._evict(key, {}, done);
+	} : options.soft ? function (key, done) {
+		this._softInvalidate(key, {skipLocks: options.local}, done);
+	} : function (key, done) {
+		// The whole invalidation is broadcast once it's done. Fetches in flight here finish for bus messages.
+		this.del(key, {skipBroadcast: true, skipLocks: options.local}, done);
+	};
+	var invalidateKeys = function (keys, done) {
+		this._eachKey(keys, invalidateKey, done);
+	};
+	var invalidated = function (err, keys) {
+		if (err) {
+			return callback(err);
+		}
+		if (!options.skipBroadcast) {
+			this._broadcast({type: 'invalidate', target: toMessageTarget(target), soft: Boolean(options.soft)});
+		}
+		callback(null, keys);
+	}.bind(this);
+
+	if (typeof target === 'string') {
+		debug("Invalidating " + target);
+		return invalidateKeys.call(this, [target], function (err) {
+			invalidated(err, [target]);
+		});
+	}
+	if (target && target.tag !== undefined) {
+		// Tags are indexed in-process, so only entries set through this CrispCache are found.
+		var keys = this._tagIndex.keys(target.tag);
+		debug("Invalidating tag " + target.tag + ": " + keys.length + " keys");
+		return invalidateKeys.call(this, keys, function (err) {
+			invalidated(err, keys);
+		});
+	}
+	if (target && target.prefix !== undefined) {
+		debug("Invalidating prefix " + target.prefix);
+		return this._scan(function (key) {
+			return key.indexOf(target.prefix) === 0;
+		}, invalidateKeys, invalidated, local);
+	}
+	if (target && target.pattern !== undefined) {
+		debug("Invalidating pattern " + target.pattern);
+		return this._scan(target.pattern, invalidateKeys, invalidated, local);
+	}
+	callback(new Error("Must pass a key, or an object with a prefix, pattern or tag to invalidate"));
+};
+
+/**
+ * Invalidate Tag
+ *
+ * Invalidates every entry that was set with `tag`, the same as `invalidate({tag: tag})`.
+ *
+ * @param {string} tag
+ * @param {{soft:boolean}} [options]
+ * @param {valueCb} [callback] - Called with the invalidated keys. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.invalidateTag = function (tag, options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+	return this.invalidate({tag: tag}, options, callback);
+};
+
+/**
+ * Marks an entry stale, so the next get returns it and re-fetches. Negative entries have no value to return, so they
+ * are deleted instead.
+ *
+ * @param {string} key
+ * @param {{skipLocks:boolean}} options - Passed on to del() for negative entries.
+ * @param {successCb} callback
+ * @private
+ */
+CrispCache.prototype._softInvalidate = function (key, options, callback) {
+	this.store.get(key, function (err, cacheEntry) {
+		if (err || !cacheEntry) {
+			return callback(err, false);
+		}
+		if (cacheEntry.isNegative()) {
+			return this.del(key, {skipBroadcast: true, skipLocks: options.skipLocks}, callback);
+		}
+		cacheEntry.invalidate();
+		// Write it back, for stores that keep a copy of the entry
+		this.store.set(key, cacheEntry, function (err) {
+			callback(err, !err);
+		});
+	}.bind(this));
+};
+
+/**
+ * Evicts a key from this process, for maxSize, heap pressure and invalidation bus messages. Evictions are up to each
+ * process: they aren't broadcast, and entries in a store shared with other processes (eg. L2 of a TieredStore) are left
+ * alone, deleting those wouldn't free any memory here. A fetch of the key in flight isn't affected, it resolves the
+ * gets waiting on it and sets the key again.
+ *
+ * @param {string} key
+ * @param {{skipLruDelete:boolean}} options
+ * @param {successCb} callback
+ * @private
+ */
+CrispCache.prototype._evict = function (key, options, callback) {
+	if (!this.store.evict) {
+		// The store is only in this process, evicting is deleting
+		return this.del(key, {skipLruDelete: options.skipLruDelete, skipBroadcast: true, skipLocks: true}, callback);
+	}
+	if (this._lru && !options.skipLruDelete) {
+		this._lru.del(key, true);
+	}
+	this._tagIndex.remove(key);
+	this._untrackSize(key);
+	this.store.evict(key, function (err) {
+		callback(err, !err);
+	});
+};
+
+/**
+ * Evicts every key this process keeps a copy of, for clears from the invalidation bus. The process that cleared has
+ * already cleared a shared store.
+ *
+ * @param {successCb} callback
+ * @private
+ */
+CrispCache.prototype._evictAll = function (callback) {
+	if (!this.store.evict) {
+		return this.clear({skipBroadcast: true}, callback);
+	}
+	if (this._lru) {
+		this._lru.clear();
+	}
+	if (this._sizes) {
+		this._sizes = {};
+		this._totalSize = 0;
+	}
+	this._tagIndex.clear();
+	var listKeys = this.store.localKeys || this.store.keys;
+	listKeys.call(this.store, function (err, keys) {
+		if (err) {
+			return callback(err);
+		}
+		this._eachKey(keys, function (key, done) {
+			this._evict(key, {skipLruDelete: true}, done);
+		}, callback);
+	}.bind(this));
+};
+
+/**
+ * Restarts an entry's expiresTtl and writes it back, for stores that don't keep the same object.
+ *
+ * @param {string} key
+ * @param {CacheEntry} cacheEntry
+ * @param {function(Error|null)} callback
+ * @private
+ */
+CrispCache.prototype._touch = function (key, cacheEntry, callback) {
+	cacheEntry.touch();
+	this.store.set(key, cacheEntry, callback);
+};
+
+/**
+ * Get Many
+ *
+ * Gets many keys at once. Hits are returned from the cache, all of the misses are fetched together, with the
+ * `batchFetcher` in one call if one was provided.
+ *
+ * @param {string[]} keys
+ * @param {{skipFetch:boolean, forceFetch:boolean}} [options]
+ * @param {valueCb} [callback] - Called with an object of values, keyed by key. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.getMany = function (keys, options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+	if (options === undefined) {
+		options = {};
+	}
+	if (!callback) {
+		return toPromise(this.getMany.bind(this, keys, options));
+	}
+
+	var values = {},
+		requests = [],
+		remaining = keys.length,
+		looked = 0,
+		failed = false;
+
+	if (remaining === 0) {
+		return callback(null, values);
+	}
+
+	// Once every key has been looked up, fetch everything that missed (or is stale) together.
+	var lookedUp = function () {
+		if (++looked === keys.length) {
+			this._fetchMany(requests);
+		}
+	}.bind(this);
+
+	keys.forEach(function (key) {
+		var queued = false;
+		this._get(key, options, function (err, value) {
+			if (!queued) {
+				// Stale hits queue their refresh right after calling back, wait for it.
+				process.nextTick(lookedUp);
+			}
+			if (failed) {
+				return;
+			}
+			if (err) {
+				failed = true;
+				return callback(err);
+			}
+			values[key] = value;
+			if (--remaining === 0) {
+				callback(null, values);
+			}
+		}, function (fetchOptions, fetchCallback) {
+			requests.push({
+				key:      key,
+				options:  fetchOptions,
+				callback: fetchCallback || function (err, value) {
+					debug('Fetched ' + key + ': ' + value);
+				}
+			});
+			if (fetchCallback) {
+				queued = true;
+				lookedUp();
+			}
+		});
+	}, this);
+};
+
+/**
+ * Set Many
+ *
+ * Sets many values at once.
+ *
+ * @param {Object.<string, *>} entries - Values to set, keyed by key.
+ * @param {{staleTtl:Number, expiresTtl:Number, size:Number}} [options] - Used for every entry.
+ * @param {successCb} [callback] - If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.setMany = function (entries, options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+	if (options === undefined) {
+		options = {};
+	}
+	if (!callback) {
+		return toPromise(this.setMany.bind(this, entries, options));
+	}
+
+	var keys = Object.keys(entries);
+	this._eachKey(keys, function (key, done) {
+		// Each entry gets its own options, so defaults (and their variance) are worked out per entry.
+		this.set(key, entries[key], copy(options), done);
+	}, callback);
+};
+
+/**
+ * Delete Many
+ *
+ * Removes many keys at once.
+ *
+ * @param {string[]} keys
+ * @param {{skipBroadcast:boolean}} [options] - The same as del(), used for every key.
+ * @param {successCb} [callback] - If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.delMany = function (keys, options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+	if (options === undefined) {
+		options = {};
+	}
+	if (!callback) {
+		return toPromise(this.delMany.bind(this, keys, options));
+	}
+
+	this._eachKey(keys, function (key, done) {
+		this.del(key, options, done);
+	}, callback);
+};
+
+/**
+ * Calls `iterator` for every key in parallel, calling back with true once they are all done, or the first error.
+ *
+ * @param {string[]} keys
+ * @param {function(string, successCb)} iterator
+ * @param {successCb} callback
+ * @private
+ */
+CrispCache.prototype._eachKey = function (keys, iterator, callback) {
+	var remaining = keys.length,
+		failed = false;
+
+	if (remaining === 0) {
+		return callback(null, true);
+	}
+	keys.forEach(function (key) {
+		iterator.call(this, key, function (err) {
+			if (failed) {
+				return;
+			}
+			if (err) {
+				failed = true;
+				return callback(err);
+			}
+			if (--remaining === 0) {
+				callback(null, true);
+			}
+		});
+	}, this);
+};
+
+/**
+ *
+ * The returned stats are complete right away when using a synchronous store (like the default memory store), pass a
+ * callback to get them once an asynchronous store has been scanned.
+ *
+ * @param {{}} [options={}]
+ * @param {number} [options.keysLimit=0] enable key metrics if > 0
+ * @param {valueCb} [callback] - Called with the stats once the store has been scanned
+ * @returns {*}
+ */
+CrispCache.prototype.getUsage = function (options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+	if(options === undefined) {
+		options = {};
+	}
+	if(options.keysLimit === undefined) {
+		options.keysLimit = 0;
+	}
+	if (!callback) {
+		callback = noop;
+	}
+
+	// Update our stats object
+	if (this._sizes) {
+		this.stats.size = this._totalSize;
+	}
+	if (this._lru) {
+		this.stats.maxSize = this._lru.maxSize;
+	}
+	if (this._circuitBreaker) {
+		this.stats.circuitBreaker = this._circuitBreaker.getUsage();
+	}
+	if (this._fetchLimiter) {
+		this.stats.fetchQueue = this._fetchLimiter.getUsage();
+	}
+	this.stats.hitRatio = this.stats.get.hit / this.stats.get.count;
+	this.stats.getSetRatio = this.stats.get.count / (this.stats.get.count + this.stats.set.count);
+
+	if (options.keysLimit > 0) {
+		this._getEntries(function (err, entries) {
+			if (err) {
+				return callback(err);
+			}
+			var validKeys = Object.keys(entries)
+				.filter(function (key) {
+					return entries[key].isValid();
+				});
+
+			this.stats.count = validKeys.length;
+
+			if (this._lru) {
+				this.stats.keys = validKeys.sort(function (keyA, keyB) {
+						return entries[keyB].size - entries[keyA].size
+					})
+					.slice(0, options.keysLimit)
+					.map(function (key) {
+						return {
+							key:  key,
+							size: entries[key].size
+						}
+					});
+			}
+			else {
+				this.stats.keys = validKeys.sort()
+					.slice(0, options.keysLimit)
+					.map(function(key) {
+						return { key: key }
+					})
+			}
+			callback(null, this.stats);
+		}.bind(this));
+	}
+	else {
+		this.store.keys(function (err, keys) {
+			if (err) {
+				return callback(err);
+			}
+			this.stats.count = keys.length;
+			callback(null, this.stats);
+		}.bind(this));
+	}
+
+	return this.stats;
+};
+
+/**
+ * Resets usage stats,
+ * so that calls to `getUsage` will only reflect activity
+ * after `resetUsage` is called.
+ */
+CrispCache.prototype.resetUsage = function() {
+	this.stats = {
+		size:        null,
+		maxSize:     null,
+		hitRatio:    0,
+		getSetRatio: 0,
+		get:         {
+			count: 0,
+			hit:   0,
+			miss:  0,
+			stale: 0
+		},
+		set:         {
+			count: 0
+		},
+		count:    0,
+		keys:        []
+	};
+	if (this.errorTtl || this.negativeTtl) {
+		this.stats.get.negative = 0;
+	}
+	if (this.heapCheckInterval > 0) {
+		this.stats.heapEvictions = 0;
+	}
+};
+
+/**
+ * Warm
+ *
+ * Gets every key, fetching the ones that aren't cached, with at most `concurrency` gets at a time. Keys that fail don't
+ * stop the others, they are counted in the summary. Emits a warmProgress event after each key and warmDone at the end.
+ *
+ * @param {string[]|Iterable.<string>|AsyncIterable.<string>} keys - The keys, or a (async) iterable that loads them.
+ * @param {{concurrency:Number, forceFetch:boolean, fetchTimeout:Number}} [options] - Also passed on to get().
+ * @param {valueCb} [callback] - Called with a summary, `{total, succeeded, failed, errors, duration}`, where `errors`
+ *                               has the error of each key that failed. Only errors if `keys` fails to load more keys.
+ *                               If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.warm = function (keys, options, callback) {
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+	if (options === undefined) {
+		options = {};
+	}
+	if (!callback) {
+		return toPromise(this.warm.bind(this, keys, options));
+	}
+
+	var nextKey;
+	try {
+		nextKey = toKeyIterator(keys);
+	}
+	catch (err) {
+		return callback(err);
+	}
+
+	var concurrency = options.concurrency || 10,
+		getOptions = copy(options),
+		started = Date.now(),
+		summary = {
+			total:     0,
+			succeeded: 0,
+			failed:    0,
+			errors:    {},
+			duration:  0
+		},
+		active = 0,
+		loading = false,
+		exhausted = false,
+		finished = false,
+		loadError = null;
+	delete getOptions.concurrency;
+
+	var finish = function () {
+		if (finished) {
+			return;
+		}
+		finished = true;
+		summary.duration = Date.now() - started;
+		if (loadError) {
+			return callback(loadError);
+		}
+		this._emit(CrispCache.EVENT_WARM_DONE, summary);
+		callback(null, summary);
+	}.bind(this);
+
+	var warmKey = function (key) {
+		active++;
+		summary.total++;
+		this.get(key, getOptions, function (err) {
+			active--;
+			if (err) {
+				debug("Issue warming " + key + ": " + err);
+				summary.failed++;
+				summary.errors[key] = err;
+			}
+			else {
+				summary.succeeded++;
+			}
+			this._emit(CrispCache.EVENT_WARM_PROGRESS, {
+				key:       key,
+				error:     err || null,
+				total:     summary.total,
+				succeeded: summary.succeeded,
+				failed:    summary.failed
+			});
+			// Don't grow the stack when gets call back right away
+			setImmediate(next);
+		}.bind(this));
+	}.bind(this);
+
+	// Loads keys one at a time, until there are `concurrency` gets running
+	var next = function () {
+		if (exhausted) {
+			return active === 0 && finish();
+		}
+		if (loading || active >= concurrency) {
+			return;
+		}
+		loading = true;
+		nextKey(function (err, result) {
+			loading = false;
+			if (err || result.done) {
+				exhausted = true;
+				loadError = err || null;
+				return next();
+			}
+			warmKey(result.value);
+			next();
+		});
+	};
+	next();
+};
+
+/**
+ * Save Snapshot
+ *
+ * Writes every entry in the cache to a file, with its value, TTLs, size and when it was created, so a new process can
+ * start warm with loadSnapshot(). The file is written next to `path` first and then renamed over it, so a crash while
+ * saving never leaves a half written snapshot.
+ *
+ * @param {string} path
+ * @param {valueCb} [callback] - Called with the number of entries saved. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.saveSnapshot = function (path, callback) {
+	if (!callback) {
+		return toPromise(this.saveSnapshot.bind(this, path));
+	}
+
+	this._getEntries(function (err, entries) {
+		if (err) {
+			return callback(err);
+		}
+		var snapshot = {
+				version: SNAPSHOT_VERSION,
+				created: Date.now(),
+				entries: {}
+			},
+			buffer;
+		Object.keys(entries).forEach(function (key) {
+			snapshot.entries[key] = entries[key].toJSON();
+		});
+		try {
+			buffer = this.snapshotSerializer.serialize(snapshot);
+		}
+		catch (err) {
+			return callback(err);
+		}
+
+		var tmpPath = path + '.tmp';
+		fs.writeFile(tmpPath, buffer, function (err) {
+			if (err) {
+				return callback(err);
+			}
+			fs.rename(tmpPath, path, function (err) {
+				if (err) {
+					return callback(err);
+				}
+				debug("Saved " + Object.keys(snapshot.entries).length + " entries to " + path);
+				callback(null, Object.keys(snapshot.entries).length);
+			});
+		});
+	}.bind(this));
+};
+
+/**
+ * Load Snapshot
+ *
+ * Reads the entries saved by saveSnapshot() into the cache. Entries keep when they were created, so they go stale and
+ * expire when they would have in the process that saved them. Entries that have expired since are skipped, as are
+ * keys the cache already has a newer entry for. Loaded entries aren't broadcast on the `invalidationBus`.
+ *
+ * @param {string} path
+ * @param {valueCb} [callback] - Called with the loaded keys. If omitted, a Promise is returned
+ * @returns {Promise|undefined}
+ */
+CrispCache.prototype.loadSnapshot = function (path, callback) {
+	if (!callback) {
+		return toPromise(this.loadSnapshot.bind(this, path));
+	}
+
+	fs.readFile(path, function (err, buffer) {
+		if (err) {
+			return callback(err);
+		}
+		var snapshot;
+		try {
+			snapshot = this.snapshotSerializer.deserialize(buffer);
+		}
+		catch (err) {
+			return callback(err);
+		}
+		if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.entries) {
+			return callback(new Error("Invalid snapshot " + path + ", it wasn't saved by saveSnapshot() or is from an unsupported version"));
+		}
+
+		var entries = {};
+		Object.keys(snapshot.entries).forEach(function (key) {
+			var cacheEntry = CacheEntry.fromJSON(snapshot.entries[key]);
+			if (!cacheEntry.isExpired()) {
+				entries[key] = cacheEntry;
+			}
+		});
+		var loaded = [];
+		this._eachKey(Object.keys(entries), function (key, done) {
+			this._restore(key, entries[key], function (err, restored) {
+				if (restored) {
+					loaded.push(key);
+				}
+				done(err);
+			});
+		}, function (err) {
+			if (err) {
+				return callback(err);
+			}
+			debug("Loaded " + loaded.length + " entries from " + path);
+			callback(null, loaded);
+		});
+	}.bind(this));
+};
+
+/**
+ * Restores an entry as it is, without changing when it was created, unless the cache has a newer one.
+ *
+ * @param {string} key
+ * @param {CacheEntry} cacheEntry
+ * @param {successCb} callback - Called with true if the entry was restored
+ * @private
+ */
+CrispCache.prototype._restore = function (key, cacheEntry, callback) {
+	this.store.get(key, function (err, existingEntry) {
+		if (err) {
+			return callback(err);
+		}
+		if (existingEntry && existingEntry.created >= cacheEntry.created) {
+			return callback(null, false);
+		}
+		this.store.set(key, cacheEntry, function (err) {
+			if (err) {
+				return callback(err);
+			}
+			this._tagIndex.set(key, cacheEntry.tags);
+			this._trackSize(key, cacheEntry.size);
+			if (this._lru) {
+				this._lru.put(key, cacheEntry.size);
+			}
+			callback(null, true);
+		}.bind(this));
+	}.bind(this));
+};
+
+/**
+ * Persist
+ *
+ * Saves a snapshot to persistPath, this is called every persistInterval. Skips a save while the last one is still
+ * being written.
+ * @private
+ */
+CrispCache.prototype._persist = function () {
+	if (this._persisting) {
+		return;
+	}
+	this._persisting = true;
+	this.saveSnapshot(this.persistPath, function (err) {
+		this._persisting = false;
+		if (err) {
+			debug("Issue saving snapshot to " + this.persistPath + ": " + err);
+		}
+	}.bind(this));
+};
+
+/**
+ * Fetch
+ *
+ * Fetches a key from the data provider, the via the provided fetch callable when this object was created.
+ *
+ * @param {string} key
+ * @param {{}|function} options - An options object or a callback
+ * @param {valueCb} [callback] - If options, an error first callback
+ * @returns {Number|*}
+ * @private
+ */
+CrispCache.prototype._fetch = function (key, options, callback) {
+	//Parse Args
+	if (typeof options === 'function' && !callback) {
+		callback = options;
+		options = {};
+	}
+
+	// Nothing is waiting on background refreshes
+	var background = callback === undefined;
+	if (callback === undefined) {
+		callback = function (err, value) {
+			debug('Fetched ' + key + ': ' + value);
+		}
+	}
+	if (this._lock(key, callback)) {
+		if (this.autoBatch) {
+			this._queueFetch(key, options, background);
+		}
+		else {
+			this._callFetcher(key, options, background);
+		}
+	}
+	else if (!background && this._fetchLimiter) {
+		// Something is waiting on this key now, it shouldn't wait behind other background refreshes
+		this._fetchLimiter.promote(key);
+	}
+};
+
+/**
+ * Queue Fetch
+ *
+ * Queues a key we hold the lock for, so every key queued within the batch window is passed to the `batchFetcher`
+ * together.
+ *
+ * @param {string} key
+ * @param {{}} options - Options to set the fetched value with
+ * @param {boolean} [background] - True for a refresh nothing is waiting on
+ * @private
+ */
+CrispCache.prototype._queueFetch = function (key, options, background) {
+	this._fetchQueue.push({key: key, options: options, background: background});
+	if (this._fetchQueue.length > 1) {
+		return;
+	}
+
+	var flush = function () {
+		var requests = this._fetchQueue;
+		this._fetchQueue = [];
+		this._callBatchFetcher(requests);
+	}.bind(this);
+	if (this.batchWindow > 0) {
+		setTimeout(flush, this.batchWindow);
+	}
+	else {
+		process.nextTick(flush);
+	}
+};
+
+/**
+ * Fetch Many
+ *
+ * Fetches many keys at once. Keys that aren't already being fetched are passed to the `batchFetcher` in one call, or
+ * to the `fetcher` one by one if there is no `batchFetcher`.
+ *
+ * @param {Array.<{key:string, options:{}, callback:valueCb}>} requests
+ * @private
+ */
+CrispCache.prototype._fetchMany = function (requests) {
+	var toFetch = requests.filter(function (request) {
+		return this._lock(request.key, request.callback);
+	}, this);
+
+	if (toFetch.length === 0) {
+		return;
+	}
+	if (!this.batchFetcher) {
+		return toFetch.forEach(function (request) {
+			this._callFetcher(request.key, request.options);
+		}, this);
+	}
+	this._callBatchFetcher(toFetch);
+};
+
+/**
+ * Calls the batch fetcher for keys we hold the locks for.
+ *
+ * @param {Array.<{key:string, options:{}, background:boolean}>} toFetch - The batch is a background refresh if every
+ *                                                                        key in it is.
+ * @private
+ */
+CrispCache.prototype._callBatchFetcher = function (toFetch) {
+	var keys = toFetch.map(function (request) {
+			return request.key;
+		}),
+		background = toFetch.every(function (request) {
+			return request.background;
+		});
+
+	this._limitFetch(keys, background, function (release) {
+		var timers = {},
+			started = Date.now(),
+			pending = toFetch.length,
+			retry = null;
+		// The batch is done once every key has timed out, or the batch fetcher calls back
+		var keyTimedOut = function () {
+			if (--pending === 0) {
+				release();
+				retry.timedOut();
+			}
+		};
+		toFetch.forEach(function (request) {
+			this._emit(CrispCache.EVENT_FETCH, {key: request.key});
+			timers[request.key] = this._startFetchTimer(request.key, request.options, keyTimedOut);
+		}, this);
+
+		// Keys that haven't timed out yet
+		var getKeys = function () {
+			return toFetch
+				.filter(function (request) {
+					return !timers[request.key].timedOut();
+				})
+				.map(function (request) {
+					return request.key;
+				});
+		};
+
+		retry = this._retry(getKeys, function (callback) {
+			this.batchFetcher(getKeys(), callback);
+		}.bind(this), function (err, values, fetcherOptions) {
+			release();
+			toFetch.forEach(function (request) {
+				if (timers[request.key].stop()) {
+					debug("Batch fetcher for " + request.key + " called back after timing out, ignoring");
+					return;
+				}
+				if (this.earlyRefresh) {
+					request.options.fetchDuration = Date.now() - started;
+				}
+				this._fetched(
+					request.key,
+					request.options,
+					err,
+					values ? values[request.key] : undefined,
+					fetcherOptions ? fetcherOptions[request.key] : undefined
+				);
+			}, this);
+		}.bind(this));
+	}.bind(this));
+};
+
+/**
+ * Calls the fetcher for a key we hold the lock for.
+ *
+ * @param {string} key
+ * @param {{}} options - Options to set the fetched value with
+ * @param {boolean} [background] - True for a refresh nothing is waiting on, see maxConcurrentFetches
+ * @private
+ */
+CrispCache.prototype._callFetcher = function (key, options, background) {
+	// AbortController is only global from Node 15, fetches can't be aborted without it
+	var controller = typeof AbortController === 'function' ? new AbortController() : null,
+		fetchOptions = controller ? {signal: controller.signal} : {};
+	var aborted = function () {
+		return Boolean(controller && controller.signal.aborted);
+	};
+	if (controller && !this.fetchCoordinator) {
+		// Other processes may be waiting on a coordinated fetch, those are never aborted
+		this._fetchControllers[key] = controller;
+	}
+
+	this._limitFetch([key], background, function (release) {
+		if (aborted()) {
+			// Every caller aborted while it was queued
+			return release();
+		}
+		this._emit(CrispCache.EVENT_FETCH, {key: key});
+		var retry = null,
+			timer = this._startFetchTimer(key, options, function () {
+				release();
+				if (retry) {
+					retry.timedOut();
+				}
+			}),
+			started = Date.now();
+
+		if (controller) {
+			controller.signal.addEventListener('abort', function () {
+				debug("Every caller waiting on " + key + " aborted, aborting the fetch");
+				timer.stop();
+				release();
+			});
+		}
+
+		var fetch = function (callback) {
+			retry = this._retry(function () {
+				return timer.timedOut() || aborted() ? [] : [key];
+			}, function (callback) {
+				this.fetcher(key, callback, fetchOptions);
+			}.bind(this), callback);
+		}.bind(this);
+
+		var fetched = function (err, value, fetcherOptions) {
+			release();
+			if (controller && this._fetchControllers[key] === controller) {
+				delete this._fetchControllers[key];
+			}
+			if (aborted()) {
+				debug("Fetcher for " + key + " called back after being aborted, ignoring");
+				return;
+			}
+			if (timer.stop()) {
+				debug("Fetcher for " + key + " called back after timing out, ignoring");
+				return;
+			}
+			if (this.earlyRefresh) {
+				options.fetchDuration = Date.now() - started;
+			}
+			this._fetched(key, options, err, value, fetcherOptions);
+		}.bind(this);
+
+		if (this.fetchCoordinator) {
+			// Another process may already be fetching this key, the coordinator decides who fetches
+			return this.fetchCoordinator.coordinate(key, fetch, fetched);
+		}
+		fetch(fetched);
+	}.bind(this));
+};
+
+/**
+ * Starts a fetch right away, or queues it behind others when maxConcurrentFetches are already running.
+ *
+ * @param {string[]} keys - The keys being fetched.
+ * @param {boolean} background - True for a refresh nothing is waiting on, these only start when no foreground fetches
+ *                              are queued.
+ * @param {function(function())} start - Starts the fetch, call the given function once it's done (or timed out).
+ * @private
+ */
+CrispCache.prototype._limitFetch = function (keys, background, start) {
+	if (!this._fetchLimiter) {
+		return start(noop);
+	}
+	this._fetchLimiter.run(keys, background, start);
+};
+
+/**
+ * Retry
+ *
+ * Calls `attempt` until it succeeds, fails with an error that can't be retried, or runs out of attempts. Waits between
+ * attempts with exponential backoff and jitter. Fails fast while the circuit breaker is open.
+ *
+ * @param {function():string[]} getKeys - The keys still being fetched, stops retrying once there are none.
+ * @param {function(function)} attempt - Calls the fetcher with the callback it is given.
+ * @param {function} callback - Called with the result of the last attempt.
+ * @returns {{timedOut:function()}} Call `timedOut` when the fetch times out, the circuit breaker counts the attempt
+ *                                  that is running as a failure, whenever it calls back.
+ * @private
+ */
+CrispCache.prototype._retry = function (getKeys, attempt, callback) {
+	var attempts = 0,
+		record = noop;
+
+	var run = function () {
+		attempts++;
+		if (this._circuitBreaker && !this._circuitBreaker.allow()) {
+			// Fail fast, without retrying
+			debug("Circuit is open, not fetching " + getKeys().join(', '));
+			var err = new Error('Circuit breaker is open, not fetching "' + getKeys().join('", "') + '"');
+			err.code = 'ECIRCUITOPEN';
+			return callback(err);
+		}
+
+		var started = Date.now(),
+			recorded = false;
+		// Each attempt is recorded once, when it calls back or times out
+		record = function (err) {
+			if (this._circuitBreaker && !recorded) {
+				recorded = true;
+				this._circuitBreaker.record(err, Date.now() - started);
+			}
+		}.bind(this);
+		var recordAttempt = record;
+		attempt(function (err) {
+			var keys;
+			recordAttempt(err);
+			if (err && attempts < this.retryMaxAttempts && this.retryFilter(err) && (keys = getKeys()).length > 0) {
+				var delay = this._getRetryDelay(attempts);
+				debug("Fetching " + keys.join(', ') + " failed, retrying in " + delay + "ms");
+				keys.forEach(function (key) {
+					this._emit(CrispCache.EVENT_FETCH_RETRY, {key: key, attempt: attempts, delay: delay, error: err});
+				}, this);
+				return setTimeout(run, delay);
+			}
+			callback.apply(null, arguments);
+		}.bind(this));
+	}.bind(this);
+	run();
+
+	return {
+		timedOut: function () {
+			var err = new Error('Fetcher timed out');
+			err.code = 'ETIMEDOUT';
+			record(err);
+		}
+	};
+};
+
+/**
+ * Starts the fetch timeout for a key, if there is one.
+ *
+ * @param {string} key
+ * @param {{fetchTimeout:Number}} options - A `fetchTimeout` here overrides the default one.
+ * @param {function()} [onTimeout] - Called if the fetch times out.
+ * @returns {{timedOut:function():boolean, stop:function():boolean}} `stop` stops the timer, both return whether the
+ *                                                                     fetch has timed out.
+ * @private
+ */
+CrispCache.prototype._startFetchTimer = function (key, options, onTimeout) {
+	var timeout = options.fetchTimeout !== undefined ? options.fetchTimeout : this.fetchTimeout,
+		timedOut = false,
+		timer = null;
+
+	if (timeout > 0) {
+		timer = setTimeout(function () {
+			timedOut = true;
+			if (onTimeout) {
+				onTimeout();
+			}
+			this._fetchTimedOut(key, timeout);
+		}.bind(this), timeout);
+	}
+	return {
+		timedOut: function () {
+			return timedOut;
+		},
+		stop:     function () {
+			clearTimeout(timer);
+			return timedOut;
+		}
+	};
+};
+
+/**
+ * Releases the locks for a key whose fetcher took too long, with the current value if we still have a stale one, or a
+ * timeout error.
+ *
+ * @param {string} key
+ * @param {Number} timeout
+ * @private
+ */
+CrispCache.prototype._fetchTimedOut = function (key, timeout) {
+	debug("Fetcher for " + key + " timed out after " + timeout + "ms");
+	this._emit(CrispCache.EVENT_FETCH_TIMEOUT, {key: key, timeout: timeout});
+
+	this.store.get(key, function (storeErr, cacheEntry) {
+		if (!storeErr && cacheEntry && !cacheEntry.isNegative() && !cacheEntry.isExpired()) {
+			return this._resolveLocks(key, cacheEntry.getValue());
+		}
+		var err = new Error('Fetcher timed out after ' + timeout + 'ms while fetching "' + key + '"');
+		err.code = 'ETIMEDOUT';
+		this._resolveLocks(key, undefined, err);
+	}.bind(this));
+};
+
+/**
+ * Handles the result of the fetcher, saving the value and resolving the locks for the key.
+ *
+ * @param {string} key
+ * @param {{}} options - Options to set the fetched value with
+ * @param {Error|null} err
+ * @param value
+ * @param {{staleTtl:Number, expiresTtl:Number, size:Number}} [fetcherOptions]
+ * @private
+ */
+CrispCache.prototype._fetched = function (key, options, err, value, fetcherOptions) {
+	this._emit(CrispCache.EVENT_FETCH_DONE, {key: key, value: value, options: fetcherOptions});
+	if (err) {
+		debug("Issue with fetcher, resolving in error");
+		if (this.errorTtl > 0) {
+			return this._setError(key, err);
+		}
+		this._resolveLocks(key, undefined, err);
+		return;
+	}
+
+	debug("Got value: " + value + " from fetcher for key: " + key);
+
+	if (value === undefined && this.negativeTtl > 0) {
+		debug("Not found, caching for " + this.negativeTtl + "ms");
+		return this.set(key, value, {
+			staleTtl:      this.negativeTtl,
+			expiresTtl:    this.negativeTtl,
+			negative:      true,
+			version:       options.version,
+			skipBroadcast: true
+		}, noop);
+	}
+
+	if (fetcherOptions) {
+		var staleTtl = fetcherOptions.staleTtl,
+			expiresTtl = fetcherOptions.expiresTtl,
+			staleIfErrorTtl = fetcherOptions.staleIfErrorTtl,
+			size = fetcherOptions.size,
+			tags = fetcherOptions.tags,
+			sliding = fetcherOptions.sliding;
+
+		if (staleTtl !== undefined) {
+			options.staleTtl = staleTtl;
+		}
+		if (expiresTtl !== undefined) {
+			options.expiresTtl = expiresTtl;
+		}
+		if (staleIfErrorTtl !== undefined) {
+			options.staleIfErrorTtl = staleIfErrorTtl;
+		}
+		if (size !== undefined) {
+			options.size = size;
+		}
+		if (tags !== undefined) {
+			options.tags = tags;
+		}
+		if (sliding !== undefined) {
+			options.sliding = sliding;
+		}
+	}
+	// Fetched values are this process' own, other caches fetch theirs
+	options.skipBroadcast = true;
+	this.set(key, value, options, noop);
+};
+
+/**
+ * Set Error
+ *
+ * Caches a fetcher error for `errorTtl`, so it is replayed instead of calling the fetcher again. Errors aren't cached
+ * over an entry that can still be used, those keep being served.
+ *
+ * @param {string} key
+ * @param {Error} err
+ * @private
+ */
+CrispCache.prototype._setError = function (key, err) {
+	this.store.get(key, function (storeErr, existingEntry) {
+		if (storeErr || (existingEntry && !existingEntry.isNegative() && !existingEntry.isExpired())) {
+			return this._resolveLocks(key, undefined, err);
+		}
+		var cacheEntry = new CacheEntry({
+			staleTtl:   this.errorTtl,
+			expiresTtl: this.errorTtl,
+			size:       1,
+			negative:   true,
+			error:      err
+		});
+		this.store.set(key, cacheEntry, function () {
+			this._trackSize(key, cacheEntry.size);
+			if (this._lru) {
+				this._lru.put(key, cacheEntry.size);
+			}
+			this._resolveLocks(key, undefined, err);
+		}.bind(this));
+	}.bind(this));
+};
+
+/**
+ * Stale Check
+ *
+ * Checks for stale keys and will try and update them. Should be called on an interval.
+ * @private
+ */
+CrispCache.prototype._staleCheck = function () {
+	debug("Checking for stale cache entries...");
+	this._emit(CrispCache.EVENT_STALE_CHECK);
+	this._getEntries(function (err, entries) {
+		if (err) {
+			debug("Issue with store during stale check: " + err);
+			return;
+		}
+		var cacheEntry,
+			refetchKeys = [];
+		for (var key in entries) {
+			cacheEntry = entries[key];
+			if (cacheEntry.isStale()) {
+				debug("- " + key + " was found to be stale, re-fetching");
+				this._fetch(key, refreshOptions(cacheEntry));
+				if (this.emitEvents) {
+					refetchKeys.push(key);
+				}
+			}
+		}
+		this._emit(CrispCache.EVENT_STALE_CHECK_DONE, refetchKeys);
+	}.bind(this));
+};
+
+/**
+ * Evict Check
+ *
+ * Evict expired keys, free up some memory. This should be called on an interval.
+ * @private
+ */
+CrispCache.prototype._evictCheck = function () {
+	this._emit(CrispCache.EVENT_EVICT_CHECK);
+
+	this._getEntries(function (err, entries) {
+		if (err) {
+			debug("Issue with store during evict check: " + err);
+			return;
+		}
+		var cacheEntry,
+			evicted = {};
+		for (var key in entries) {
+			cacheEntry = entries[key];
+			if (cacheEntry.isExpired()) {
+				// Every process expires its own entries
+				this.del(key, {skipBroadcast: true}, noop);
+				if (this.emitEvents) {
+					evicted[key] = cacheEntry;
+				}
+			}
+		}
+
+		this._emit(CrispCache.EVENT_EVICT_CHECK_DONE, evicted);
+	}.bind(this));
+};
+
+/**
+ * Heap Check
+ *
+ * Checks how much of the heap is used, if it's over heapThreshold evicts heapEvictRatio of the cache (by size) using
+ * the eviction policy. This runs every heapCheckInterval, so entries keep being evicted until the pressure drops.
+ * @private
+ */
+CrispCache.prototype._heapCheck = function () {
+	var heapStats = v8.getHeapStatistics(),
+		heapUsed = heapStats.used_heap_size,
+		heapLimit = heapStats.heap_size_limit,
+		threshold = this.heapThreshold <= 1 ? this.heapThreshold * heapLimit : this.heapThreshold;
+
+	if (heapUsed < threshold || this._lru.size === 0) {
+		return;
 	}
-	this._emit(CrispCache.EVENT_STALE_CHECK_DONE, refetchKeys);
+
+	debug("Heap pressure, " + heapUsed + " of " + heapLimit + " used, evicting");
+	var targetSize = this._lru.size - Math.max(1, Math.ceil(this._lru.size * this.heapEvictRatio)),
+		evicted = [],
+		key;
+	while (this._lru.size > targetSize && (key = this._lru.victim()) !== null && key !== undefined) {
+		this._lru.del(key);
+		evicted.push(key);
+	}
+	this.stats.heapEvictions += evicted.length;
+
+	this._emit(CrispCache.EVENT_HEAP_EVICT, {keys: evicted, heapUsed: heapUsed, heapLimit: heapLimit});
 };
 
 /**
- * Evict Check
+ * Get Entries
  *
- * Evict expired keys, free up some memory. This should be called on an interval.
+ * Reads every entry out of the store.
+ * @param {function(Error|null, Object.<string, CacheEntry>=)} callback - Called with a cache like object of keys and
+ *                                                                       cache entries.
  * @private
  */
-CrispCache.prototype._evictCheck = function () {
-	//This is a little gross for efficiency, this.cache will just have basic keys on it, no need to double check.
-
-	this._emit(CrispCache.EVENT_EVICT_CHECK);
-
-	var cacheEntry,
-		evicted = {};
-	for (var key in this.cache) {
-		cacheEntry = this.cache[key];
-		if (cacheEntry.isExpired()) {
-			this.del(key);
-			if (this.emitEvents) {
-				evicted[key] = cacheEntry;
-			}
+CrispCache.prototype._getEntries = function (callback) {
+	this.store.keys(function (err, keys) {
+		if (err) {
+			return callback(err);
 		}
-	}
+		var entries = {},
+			pending = keys.length,
+			failed = false;
 
-	this._emit(CrispCache.EVENT_EVICT_CHECK_DONE, evicted);
+		if (pending === 0) {
+			return callback(null, entries);
+		}
+		keys.forEach(function (key) {
+			this.store.get(key, function (err, cacheEntry) {
+				if (failed) {
+					return;
+				}
+				if (err) {
+					failed = true;
+					return callback(err);
+				}
+				// Keys may have been removed while we were reading.
+				if (cacheEntry) {
+					entries[key] = cacheEntry;
+				}
+				if (--pending === 0) {
+					callback(null, entries);
+				}
+			});
+		}, this);
+	}.bind(this));
 };
 
 /**
@@ -527,6 +2174,215 @@ CrispCache.prototype._resolveLocks = function (key, value, err) {
 	}
 };
 
+/**
+ * Runs updates of a key one at a time, each holding the key's lock. Updates wait for each other in their own queue,
+ * since a set() or del() releases the lock (resolving the gets waiting on it) without waiting for it.
+ *
+ * @param {string} key
+ * @param {function(Error|null, CacheEntry|undefined, function(*=, Error=))} run - Called with the key's entry once the
+ *        update holds the lock. Must call `release` once it's done, with the value (or error) for anything waiting on
+ *        the key, a set has already given them its value. Without arguments (nothing was written) they fetch the key.
+ * @private
+ */
+CrispCache.prototype._withLock = function (key, run) {
+	if (this._updates[key]) {
+		return this._updates[key].push(run);
+	}
+	this._updates[key] = [];
+	var next = function () {
+		var queued = this._updates[key].shift();
+		if (!queued) {
+			delete this._updates[key];
+			return;
+		}
+		this._runLocked(key, queued, next);
+	}.bind(this);
+	this._runLocked(key, run, next);
+};
+
+/**
+ * Waits until we hold the lock for a key (eg. for a fetch to finish), then runs an update with the key's entry.
+ *
+ * @param {string} key
+ * @param {function(Error|null, CacheEntry|undefined, function(*=, Error=))} run
+ * @param {function()} finished - Called once `run` releases the lock.
+ * @private
+ */
+CrispCache.prototype._runLocked = function (key, run, finished) {
+	var acquire = function () {
+		var acquired = false;
+		// Called when the lock is released, we try again unless it was ours
+		var onRelease = function () {
+			if (!acquired) {
+				acquire();
+			}
+		};
+		acquired = this._lock(key, onRelease);
+		if (!acquired) {
+			return;
+		}
+		var lock = this.locks[key];
+		var release = function (value, err) {
+			// Unless a set() or del() has released it already
+			if (this.locks[key] === lock) {
+				if (arguments.length > 0) {
+					this._resolveLocks(key, value, err);
+				}
+				else {
+					// Nothing was written, the gets waiting on the key fetch it instead
+					delete this.locks[key];
+					lock.forEach(function (lockCb) {
+						if (lockCb !== onRelease) {
+							this._fetch(key, lockCb);
+						}
+					}, this);
+				}
+			}
+			finished();
+		}.bind(this);
+		this.store.get(key, function (err, cacheEntry) {
+			run(err, cacheEntry, release);
+		});
+	}.bind(this);
+	acquire();
+};
+
+/**
+ * Sets a value for a key we hold the lock for, keeping the TTLs and tags of its entry, and giving it the next version.
+ *
+ * @param {string} key
+ * @param value
+ * @param {CacheEntry} [cacheEntry] - The key's current entry.
+ * @param {{}} options - Set options that override the entry's.
+ * @param {valueCb} callback - Called with the value
+ * @private
+ */
+CrispCache.prototype._setLocked = function (key, value, cacheEntry, options, callback) {
+	var setOptions = cacheEntry && !cacheEntry.isExpired() ? refreshOptions(cacheEntry) : {};
+	for (var option in options) {
+		setOptions[option] = options[option];
+	}
+	setOptions.version = cacheEntry ? cacheEntry.version + 1 : 1;
+	// The set releases the lock, with the new value
+	this.set(key, value, setOptions, function (err) {
+		callback(err, err ? undefined : value);
+	});
+};
+
+/**
+ * The version a key's next write gets, one more than its current entry's. Fetches and updates already have the entry
+ * and pass its next version, only a set() without one reads the store for it.
+ *
+ * @param {string} key
+ * @param {{version:Number}} options - A `version` here is used as is.
+ * @param {function(Error|null, Number=)} callback
+ * @private
+ */
+CrispCache.prototype._nextVersion = function (key, options, callback) {
+	if (options.version !== undefined) {
+		return callback(null, options.version);
+	}
+	this.store.get(key, function (err, cacheEntry) {
+		if (err) {
+			return callback(err);
+		}
+		callback(null, cacheEntry ? cacheEntry.version + 1 : 1);
+	});
+};
+
+/**
+ * Wraps a callback waiting on a fetch, so it can stop waiting when `signal` is aborted. The caller's `callback` gets an
+ * AbortError right away, and the fetch is aborted if nothing else is waiting on it.
+ *
+ * @param {string} key
+ * @param {AbortSignal} signal
+ * @param {valueCb} lockCallback - Called with the fetched value, if the signal isn't aborted first.
+ * @param {valueCb} callback - The caller's callback.
+ * @returns {valueCb} The callback to wait on the fetch with.
+ * @private
+ */
+CrispCache.prototype._abortable = function (key, signal, lockCallback, callback) {
+	var waiter = function () {
+		signal.removeEventListener('abort', onAbort);
+		lockCallback.apply(null, arguments);
+	};
+	var onAbort = function () {
+		this._detach(key, waiter);
+		callback(abortError(key));
+	}.bind(this);
+	signal.addEventListener('abort', onAbort);
+	return waiter;
+};
+
+/**
+ * Removes a callback from the locks for a key. When it was the last one, the lock is released and the fetch aborted.
+ *
+ * @param {string} key
+ * @param {valueCb} callbackToRemove
+ * @private
+ */
+CrispCache.prototype._detach = function (key, callbackToRemove) {
+	var locks = this.locks[key];
+	if (!locks || locks.indexOf(callbackToRemove) === -1) {
+		return;
+	}
+	locks.splice(locks.indexOf(callbackToRemove), 1);
+	if (locks.length === 0) {
+		delete this.locks[key];
+		if (this._fetchControllers[key]) {
+			this._fetchControllers[key].abort();
+			delete this._fetchControllers[key];
+		}
+	}
+};
+
+/**
+ * The size of a value when `set` isn't given one, from the sizeCalculator (at least 1) or 1 without one.
+ * @param {string} key
+ * @param value
+ * @returns {Number}
+ * @private
+ */
+CrispCache.prototype._getSize = function (key, value) {
+	if (!this.sizeCalculator) {
+		return 1;
+	}
+	try {
+		return Math.max(1, Math.ceil(this.sizeCalculator(value, key)) || 1);
+	}
+	catch (err) {
+		debug("Couldn't calculate the size of " + key + ", using 1: " + err.message);
+		return 1;
+	}
+};
+
+/**
+ * Adds (or updates) the size of an entry in the total reported by getUsage().
+ *
+ * @param {string} key
+ * @param {Number|null} size
+ * @private
+ */
+CrispCache.prototype._trackSize = function (key, size) {
+	if (!this._sizes) {
+		return;
+	}
+	this._untrackSize(key);
+	this._sizes[key] = size || 0;
+	this._totalSize += this._sizes[key];
+};
+
+/**
+ * @param {string} key
+ * @private
+ */
+CrispCache.prototype._untrackSize = function (key) {
+	if (this._sizes && this._sizes.hasOwnProperty(key)) {
+		this._totalSize -= this._sizes[key];
+		delete this._sizes[key];
+	}
+};
+
 /**
  * @returns {Number}
  * @private
@@ -554,6 +2410,72 @@ CrispCache.prototype._getDefaultExpiresTtl = function () {
 	}
 };
 
+/**
+ * Exponential backoff, with full jitter if enabled.
+ * @param {Number} attempts - How many attempts have been made so far.
+ * @returns {Number}
+ * @private
+ */
+CrispCache.prototype._getRetryDelay = function (attempts) {
+	var delay = Math.min(this.retryMaxDelay, this.retryDelay * Math.pow(2, attempts - 1));
+	if (this.retryJitter) {
+		return Math.round(Math.random() * delay);
+	}
+	else {
+		return delay;
+	}
+};
+
+/**
+ * Sends a message to the other caches on the invalidation bus, if there is one.
+ *
+ * @param {{type:string}} message
+ * @private
+ */
+CrispCache.prototype._broadcast = function (message) {
+	if (!this.invalidationBus) {
+		return;
+	}
+	message.channel = this.invalidationChannel;
+	message.origin = this.instanceId;
+	debug("Broadcasting " + message.type);
+	this.invalidationBus.publish(message);
+};
+
+/**
+ * Applies a message from another cache on the invalidation bus, without broadcasting it again. The sender has already
+ * written to any store shared between them, only this process' copies are dropped.
+ *
+ * @param {{type:string, channel:string, origin:string}} message
+ * @private
+ */
+CrispCache.prototype._onBusMessage = function (message) {
+	if (!message || message.channel !== this.invalidationChannel || message.origin === this.instanceId) {
+		return;
+	}
+	debug("Received " + message.type + " from " + message.origin);
+	this._emit(CrispCache.EVENT_BUS_MESSAGE, message);
+
+	var done = function (err) {
+		if (err) {
+			debug("Issue applying " + message.type + " from the invalidation bus: " + err);
+		}
+	};
+	switch (message.type) {
+		case 'delete':
+			return this._evict(message.key, {}, done);
+		case 'invalidate':
+			return this.invalidate(fromMessageTarget(message.target), {
+				soft:          message.soft,
+				skipBroadcast: true,
+				local:         true
+			}, done);
+		case 'clear':
+			return this._evictAll(done);
+	}
+	debug("Unknown invalidation bus message " + message.type);
+};
+
 CrispCache.prototype._emit = function (name, options) {
 	if (this.emitEvents) {
 		this.emit(name, options);
@@ -628,6 +2550,9 @@ CrispCache.wrap = function (origFn, options) {
 	const wrapFunc = function () {
 		var args = Array.prototype.slice.call(arguments, 0);
 		var cb = args.pop();
+		if (typeof cb !== 'function') {
+			throw new Error('Unable to call cached function: no callback provided');
+		}
 		var key = options.createKey.apply(null, args);
 
 		if (Object.prototype.toString.call(key) !== '[object String]') {
@@ -652,6 +2577,302 @@ function bindEventMap(eventMap, eventEmitter) {
 	});
 }
 
+/**
+ * Wraps a fetcher with error handling, so synchronous errors are passed to the callback,
+ * the callback is only called once, and fetchers may return a Promise instead.
+ * @param {function(*, valueCb, {signal:AbortSignal}=)} fetcher
+ * @returns {function(*, valueCb, {signal:AbortSignal}=)}
+ */
+function wrapFetcher(fetcher) {
+	return function (key, cb, fetchOptions) {
+		var called = false,
+			result;
+		var done = function (err, value, fetcherOptions) {
+			if (called) {
+				return;
+			}
+			called = true;
+			cb(err, value, fetcherOptions);
+		};
+
+		try {
+			result = fetcher(key, done, fetchOptions);
+		}
+		catch (err) {
+			return done(err);
+		}
+
+		if (result && typeof result.then === 'function') {
+			result.then(function (value) {
+				done(null, value);
+			}, function (err) {
+				done(err || new Error('Fetcher rejected while fetching "' + key + '"'));
+			});
+		}
+	};
+}
+
+/**
+ * @param {CacheEntry} [cacheEntry]
+ * @returns {*} The value of an entry that can still be used, otherwise undefined.
+ */
+function currentValue(cacheEntry) {
+	if (!cacheEntry || cacheEntry.isExpired() || cacheEntry.isNegative()) {
+		return undefined;
+	}
+	return cacheEntry.getValue();
+}
+
+/**
+ * @param {CacheEntry} [cacheEntry]
+ * @returns {Number} The version of an entry, 0 if it's missing or expired.
+ */
+function currentVersion(cacheEntry) {
+	return cacheEntry && !cacheEntry.isExpired() ? cacheEntry.version : 0;
+}
+
+/**
+ * Calls an update's mutator, which may return the new value or a Promise of it.
+ * @param {function(*, CacheEntry=):*} mutator
+ * @param current - The current value.
+ * @param {CacheEntry} [cacheEntry]
+ * @param {valueCb} callback
+ */
+function mutate(mutator, current, cacheEntry, callback) {
+	var result;
+	try {
+		result = mutator(current, cacheEntry);
+	}
+	catch (err) {
+		return callback(err);
+	}
+	if (result && typeof result.then === 'function') {
+		return result.then(function (value) {
+			callback(null, value);
+		}, function (err) {
+			callback(err || new Error('Mutator rejected'));
+		});
+	}
+	callback(null, result);
+}
+
+/**
+ * @param {string} key
+ * @returns {Error} The error callers that abort waiting get.
+ */
+function abortError(key) {
+	var err = new Error('Aborted while getting "' + key + '"');
+	err.name = 'AbortError';
+	err.code = 'ABORT_ERR';
+	return err;
+}
+
+/**
+ * Wraps a fetch function so the fetches it starts use a different fetch timeout.
+ * @param {function({}, valueCb=)} fetch
+ * @param {Number} fetchTimeout
+ * @returns {function({}, valueCb=)}
+ */
+function withFetchTimeout(fetch, fetchTimeout) {
+	return function (fetchOptions, fetchCallback) {
+		fetchOptions.fetchTimeout = fetchTimeout;
+		fetch(fetchOptions, fetchCallback);
+	};
+}
+
+/**
+ * Creates a function that tests keys against a pattern.
+ * @param {RegExp|string|function(string):boolean} pattern - A RegExp, a glob string or a function.
+ * @returns {function(string):boolean}
+ */
+function toMatcher(pattern) {
+	if (typeof pattern === 'function') {
+		return pattern;
+	}
+	if (typeof pattern === 'string') {
+		pattern = new RegExp('^' + pattern.split('').map(function (char) {
+			if (char === '*') {
+				return '.*';
+			}
+			if (char === '?') {
+				return '.';
+			}
+			return char.replace(/[\\^$.|+()[\]{}]/, '\\$&');
+		}).join('') + '$');
+	}
+	return function (key) {
+		// Global RegExps remember where they matched last
+		pattern.lastIndex = 0;
+		return pattern.test(key);
+	};
+}
+
+/**
+ * Invalidation targets are sent as JSON, RegExps need to be turned into something that survives it.
+ * @param {string|{}} target
+ * @returns {string|{}}
+ */
+function toMessageTarget(target) {
+	if (target && target.pattern instanceof RegExp) {
+		return {pattern: {source: target.pattern.source, flags: target.pattern.flags}};
+	}
+	return target;
+}
+
+/**
+ * @param {string|{}} target - From toMessageTarget()
+ * @returns {string|{}}
+ */
+function fromMessageTarget(target) {
+	if (target && target.pattern && typeof target.pattern.source === 'string') {
+		return {pattern: new RegExp(target.pattern.source, target.pattern.flags)};
+	}
+	return target;
+}
+
+/**
+ * Options to re-fetch an entry with, so the new entry keeps the same settings and gets the next version.
+ * @param {CacheEntry} cacheEntry
+ * @returns {{staleTtl:Number, expiresTtl:Number, staleIfErrorTtl:Number, tags:string[]=}}
+ */
+function refreshOptions(cacheEntry) {
+	var options = {
+		staleTtl:        cacheEntry.staleTtl,
+		expiresTtl:      cacheEntry.expiresTtl,
+		staleIfErrorTtl: cacheEntry.staleIfErrorTtl,
+		version:         cacheEntry.version + 1
+	};
+	if (cacheEntry.tags) {
+		options.tags = cacheEntry.tags;
+	}
+	if (cacheEntry.sliding) {
+		options.sliding = true;
+	}
+	return options;
+}
+
+/**
+ * Looks up a size calculator by name.
+ * @param {string|function|undefined} sizeCalculator - 'bytes', 'json', 'v8' or a function(value, key).
+ * @returns {function(*, string):Number|null}
+ */
+function getSizeCalculator(sizeCalculator) {
+	if (!sizeCalculator || typeof sizeCalculator === 'function') {
+		return sizeCalculator || null;
+	}
+	if (!sizeCalculators.hasOwnProperty(sizeCalculator)) {
+		throw new Error('Unknown sizeCalculator "' + sizeCalculator + '", must be one of ' + Object.keys(sizeCalculators).join(', ') + ' or a function');
+	}
+	return sizeCalculators[sizeCalculator];
+}
+
+// Bumped when the snapshot format changes, snapshots in another format are refused
+var SNAPSHOT_VERSION = 1;
+
+/**
+ * @param {string|{serialize, deserialize}} snapshotSerializer - 'json', 'v8' or a custom serializer.
+ * @returns {{serialize, deserialize}}
+ */
+function getSnapshotSerializer(snapshotSerializer) {
+	if (typeof snapshotSerializer === 'object') {
+		return snapshotSerializer;
+	}
+	if (!snapshotSerializers.hasOwnProperty(snapshotSerializer)) {
+		throw new Error('Unknown snapshotSerializer "' + snapshotSerializer + '", must be one of ' + Object.keys(snapshotSerializers).join(', ') + ' or an object with serialize and deserialize methods');
+	}
+	return snapshotSerializers[snapshotSerializer];
+}
+
+/**
+ * Looks up an eviction policy by name, only loading the one that's used.
+ * @param {string|function} evictionPolicy - 'lru', 'lfu', 'wtinylfu', 'arc' or a constructor.
+ * @returns {function({maxSize, delCallback})}
+ */
+function getEvictionPolicy(evictionPolicy) {
+	if (typeof evictionPolicy === 'function') {
+		return evictionPolicy;
+	}
+	switch (evictionPolicy) {
+		case 'lru':
+			return require('./lib/Lru');
+		case 'lfu':
+			return require('./lib/Lfu');
+		case 'wtinylfu':
+			return require('./lib/WTinyLfu');
+		case 'arc':
+			return require('./lib/Arc');
+	}
+	throw new Error('Unknown evictionPolicy "' + evictionPolicy + '", must be one of lru, lfu, wtinylfu, arc or a constructor');
+}
+
+/**
+ * Copies the own properties of `source` to a new object.
+ * @param {{}} source
+ * @returns {{}}
+ */
+function copy(source) {
+	var target = {};
+	for (var prop in source) {
+		if (source.hasOwnProperty(prop)) {
+			target[prop] = source[prop];
+		}
+	}
+	return target;
+}
+
+/**
+ * Turns an array, iterable or async iterable of keys into a function that calls back with the next
+ * `{done, value}` result.
+ * @param {string[]|Iterable.<string>|AsyncIterable.<string>} keys
+ * @returns {function(function(Error|null, {done:boolean, value:string}=))}
+ */
+function toKeyIterator(keys) {
+	if (keys && typeof keys[Symbol.asyncIterator] === 'function') {
+		var asyncIterator = keys[Symbol.asyncIterator]();
+		return function (callback) {
+			asyncIterator.next().then(function (result) {
+				callback(null, result);
+			}, callback);
+		};
+	}
+	if (keys && typeof keys[Symbol.iterator] === 'function' && typeof keys !== 'string') {
+		var iterator = keys[Symbol.iterator]();
+		return function (callback) {
+			var result;
+			try {
+				result = iterator.next();
+			}
+			catch (err) {
+				return callback(err);
+			}
+			callback(null, result);
+		};
+	}
+	throw new Error("Keys must be an array, or an iterable or async iterable of keys");
+}
+
+/**
+ * Callback for internal calls that don't need a result (and shouldn't create a Promise).
+ */
+function noop() {
+}
+
+/**
+ * Calls `fn` with an error first callback, returning a Promise for the result.
+ * @param {function(valueCb)} fn
+ * @returns {Promise}
+ */
+function toPromise(fn) {
+	return new Promise(function (resolve, reject) {
+		fn(function (err, value) {
+			if (err) {
+				return reject(err);
+			}
+			resolve(value);
+		});
+	});
+}
+
 /**
  * @callback valueCb
  * @param {Error|null} error
@@ -665,4 +2886,12 @@ function bindEventMap(eventMap, eventEmitter) {
  */
 
 
+CrispCache.CacheEntry = CacheEntry;
+CrispCache.ClusterBus = ClusterBus;
+CrispCache.ClusterFetchCoordinator = ClusterFetchCoordinator;
+CrispCache.MemoryStore = MemoryStore;
+CrispCache.TieredStore = TieredStore;
+CrispCache.sizeCalculators = sizeCalculators;
+CrispCache.snapshotSerializers = snapshotSerializers;
+
 module.exports = CrispCache;
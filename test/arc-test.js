@@ -0,0 +1,148 @@
+var assert = require('assert'),
+	Arc = require('../lib/Arc'),
+	sinon = require('sinon');
+
+describe("ARC", function () {
+
+	var delSpy = null,
+		arc = null;
+
+	it("Sanity Check", function () {
+		arc = new Arc();
+		assert.ok(arc instanceof Arc);
+	});
+
+	beforeEach(function () {
+		delSpy = sinon.spy(function (key) {
+		});
+		arc = new Arc({
+			maxSize:     3,
+			delCallback: delSpy
+		});
+	});
+
+	describe("Put", function () {
+		it("Should add new keys to T1", function () {
+			arc.put('a', 1);
+			arc.put('b', 2);
+			assert.deepEqual(Array.from(arc.t1.keys()), ['a', 'b']);
+			assert.equal(arc.size, 3);
+		});
+
+		it("Should move keys used again to T2", function () {
+			arc.put('a', 1);
+			arc.put('a', 2);
+			assert.equal(arc.t1.size, 0);
+			assert.deepEqual(Array.from(arc.t2.keys()), ['a']);
+			assert.equal(arc.size, 2);
+		});
+
+		it("Should evict into a ghost list", function () {
+			arc.put('a', 1);
+			arc.touch('a', 1);
+			arc.put('b', 1);
+			arc.put('c', 1);
+			arc.put('d', 1);
+			assert.equal(delSpy.callCount, 1);
+			assert.ok(delSpy.calledWith('b'));
+			assert.ok(arc.b1.has('b'));
+			assert.equal(arc.size, 3);
+		});
+
+		it("Should adapt towards recency on a B1 ghost hit", function () {
+			arc.put('a', 1);
+			arc.touch('a', 1);
+			arc.put('b', 1);
+			arc.put('c', 1);
+			arc.put('d', 1);
+			arc.put('b', 1);
+			assert.ok(arc.p > 0);
+			assert.ok(arc.t2.has('b'));
+			assert.ok(!arc.b1.has('b'));
+			assert.equal(arc.size, 3);
+		});
+
+		it("Should adapt towards frequency on a B2 ghost hit", function () {
+			arc.p = 2;
+			arc.put('a', 1);
+			arc.touch('a', 1);
+			arc.put('b', 1);
+			arc.touch('b', 1);
+			arc.put('c', 1);
+			arc.put('d', 1);
+			assert.ok(arc.b2.has('a'));
+			arc.put('a', 1);
+			assert.ok(arc.p < 2);
+			assert.ok(arc.t2.has('a'));
+		});
+
+		it("Should keep frequently used keys during a scan", function () {
+			arc.put('hot', 1);
+			arc.touch('hot', 1);
+			for (var i = 0; i < 10; i++) {
+				arc.put('scan' + i, 1);
+			}
+			assert.ok(arc.t2.has('hot'));
+			assert.ok(!delSpy.calledWith('hot'));
+		});
+	});
+
+	describe("Touch", function () {
+		it("Should promote to T2", function () {
+			arc.put('a', 1);
+			arc.touch('a', 1);
+			assert.ok(arc.t2.has('a'));
+			assert.equal(arc.size, 1);
+		});
+
+		it("Should add a missing entry", function () {
+			arc.touch('a', 2);
+			assert.ok(arc.t1.has('a'));
+			assert.equal(arc.size, 2);
+		});
+	});
+
+	describe("Victim", function () {
+		it("Should return the oldest T1 key", function () {
+			arc.put('a', 1);
+			arc.put('b', 1);
+			assert.equal(arc.victim(), 'a');
+		});
+
+		it("Should return null when empty", function () {
+			assert.strictEqual(arc.victim(), null);
+		});
+	});
+
+	describe("Del", function () {
+		it("Should remove an entry without a ghost", function () {
+			arc.put('a', 1);
+			arc.put('b', 1);
+			arc.del('a');
+			assert.equal(delSpy.callCount, 1);
+			assert.equal(arc.size, 1);
+			assert.ok(!arc.b1.has('a'));
+		});
+
+		it("Should skip the callback", function () {
+			arc.put('a', 1);
+			arc.del('a', true);
+			assert.equal(delSpy.callCount, 0);
+			assert.equal(arc.size, 0);
+		});
+	});
+
+	describe("Clear", function () {
+		it("Should remove all entries and ghosts", function () {
+			arc.put('a', 1);
+			arc.put('b', 1);
+			arc.put('c', 1);
+			arc.put('d', 1);
+			arc.clear();
+			assert.equal(arc.size, 0);
+			assert.equal(arc.p, 0);
+			assert.equal(arc.b1.size, 0);
+			assert.strictEqual(arc.victim(), null);
+		});
+	});
+});
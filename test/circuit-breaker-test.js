@@ -0,0 +1,114 @@
+var assert = require('assert'),
+	CircuitBreaker = require('../lib/CircuitBreaker'),
+	sinon = require('sinon');
+
+describe("CircuitBreaker", function () {
+
+	var breaker = null,
+		clock = null,
+		stateChangeSpy = null;
+
+	beforeEach(function () {
+		clock = sinon.useFakeTimers();
+		stateChangeSpy = sinon.spy();
+		breaker = new CircuitBreaker({
+			errorThreshold:      0.5,
+			latencyThreshold:    100,
+			minRequests:         4,
+			windowSize:          4,
+			resetTimeout:        1000,
+			stateChangeCallback: stateChangeSpy
+		});
+	});
+
+	afterEach(function () {
+		clock.restore();
+	});
+
+	function recordMany(count, err, latency) {
+		for (var i = 0; i < count; i++) {
+			breaker.record(err, latency || 0);
+		}
+	}
+
+	it("Should start closed", function () {
+		assert.equal(breaker.state, CircuitBreaker.STATE_CLOSED);
+		assert.ok(breaker.allow());
+	});
+
+	it("Should not open before minRequests", function () {
+		recordMany(3, new Error());
+		assert.equal(breaker.state, CircuitBreaker.STATE_CLOSED);
+	});
+
+	it("Should open on error rate", function () {
+		recordMany(2, null);
+		recordMany(2, new Error());
+		assert.equal(breaker.state, CircuitBreaker.STATE_OPEN);
+		assert.ok(!breaker.allow());
+		assert.deepEqual(stateChangeSpy.firstCall.args, ['open', 'closed']);
+	});
+
+	it("Should open on latency", function () {
+		recordMany(4, null, 101);
+		assert.equal(breaker.state, CircuitBreaker.STATE_OPEN);
+	});
+
+	it("Should only look at the window", function () {
+		recordMany(1, new Error());
+		recordMany(4, null);
+		recordMany(1, new Error());
+		assert.equal(breaker.getFailureRate(), 0.25);
+		assert.equal(breaker.state, CircuitBreaker.STATE_CLOSED);
+	});
+
+	it("Should allow a single trial when half-open", function () {
+		recordMany(4, new Error());
+		clock.tick(1000);
+		assert.ok(breaker.allow());
+		assert.equal(breaker.state, CircuitBreaker.STATE_HALF_OPEN);
+		assert.ok(!breaker.allow());
+	});
+
+	it("Should close after a successful trial", function () {
+		recordMany(4, new Error());
+		clock.tick(1000);
+		breaker.allow();
+		breaker.record(null, 0);
+		assert.equal(breaker.state, CircuitBreaker.STATE_CLOSED);
+		assert.ok(breaker.allow());
+		assert.deepEqual(stateChangeSpy.lastCall.args, ['closed', 'halfOpen']);
+	});
+
+	it("Should re-open after a failed trial", function () {
+		recordMany(4, new Error());
+		clock.tick(1000);
+		breaker.allow();
+		breaker.record(new Error(), 0);
+		assert.equal(breaker.state, CircuitBreaker.STATE_OPEN);
+		assert.ok(!breaker.allow());
+		clock.tick(1000);
+		assert.ok(breaker.allow());
+	});
+
+	it("Should let another trial through when one is never recorded", function () {
+		recordMany(4, new Error());
+		clock.tick(1000);
+		assert.ok(breaker.allow());
+		clock.tick(999);
+		assert.ok(!breaker.allow());
+		clock.tick(1);
+		assert.ok(breaker.allow());
+		assert.equal(breaker.state, CircuitBreaker.STATE_HALF_OPEN);
+	});
+
+	it("Should report usage", function () {
+		recordMany(1, new Error());
+		assert.deepEqual(breaker.getUsage(), {
+			state:       'closed',
+			failureRate: 1,
+			requests:    1,
+			openedAt:    null
+		});
+	});
+});
@@ -0,0 +1,118 @@
+var assert = require('assert'),
+	ClusterBus = require('../lib/ClusterBus'),
+	EventEmitter = require('events'),
+	sinon = require('sinon');
+
+describe("ClusterBus", function () {
+
+	function createWorker(id) {
+		return {
+			id:          id,
+			send:        sinon.spy(),
+			isConnected: function () {
+				return true;
+			}
+		};
+	}
+
+	describe("Worker", function () {
+
+		var bus,
+			fakeProcess;
+
+		beforeEach(function () {
+			fakeProcess = new EventEmitter();
+			fakeProcess.send = sinon.spy();
+			bus = new ClusterBus({
+				cluster: {isPrimary: false},
+				process: fakeProcess
+			});
+		});
+
+		it("Should send messages to the primary", function () {
+			bus.publish({type: 'clear'});
+			assert.equal(fakeProcess.send.callCount, 1);
+			assert.deepEqual(fakeProcess.send.firstCall.args[0], {crispCacheBus: {type: 'clear'}});
+		});
+
+		it("Should deliver messages from the primary", function () {
+			var handler = sinon.spy();
+			bus.subscribe(handler);
+			fakeProcess.emit('message', {crispCacheBus: {type: 'clear'}});
+			assert.equal(handler.callCount, 1);
+			assert.deepEqual(handler.firstCall.args[0], {type: 'clear'});
+		});
+
+		it("Should ignore other IPC messages", function () {
+			var handler = sinon.spy();
+			bus.subscribe(handler);
+			fakeProcess.emit('message', {type: 'clear'});
+			fakeProcess.emit('message', 'hello');
+			fakeProcess.emit('message', null);
+			assert.equal(handler.callCount, 0);
+		});
+
+		it("Should do nothing without IPC", function () {
+			delete fakeProcess.send;
+			bus.publish({type: 'clear'});
+		});
+	});
+
+	describe("Primary", function () {
+
+		var bus,
+			fakeCluster;
+
+		beforeEach(function () {
+			fakeCluster = new EventEmitter();
+			fakeCluster.isPrimary = true;
+			fakeCluster.workers = {1: createWorker(1), 2: createWorker(2), 3: createWorker(3)};
+			bus = new ClusterBus({
+				cluster: fakeCluster,
+				process: new EventEmitter()
+			});
+		});
+
+		it("Should relay messages to the other workers", function () {
+			var message = {crispCacheBus: {type: 'delete', key: 'a'}};
+			fakeCluster.emit('message', fakeCluster.workers[1], message);
+			assert.equal(fakeCluster.workers[1].send.callCount, 0);
+			assert.deepEqual(fakeCluster.workers[2].send.firstCall.args[0], message);
+			assert.deepEqual(fakeCluster.workers[3].send.firstCall.args[0], message);
+		});
+
+		it("Should deliver relayed messages in the primary", function () {
+			var handler = sinon.spy();
+			bus.subscribe(handler);
+			fakeCluster.emit('message', fakeCluster.workers[1], {crispCacheBus: {type: 'clear'}});
+			assert.deepEqual(handler.firstCall.args[0], {type: 'clear'});
+		});
+
+		it("Should not relay other messages", function () {
+			fakeCluster.emit('message', fakeCluster.workers[1], {type: 'clear'});
+			assert.equal(fakeCluster.workers[2].send.callCount, 0);
+		});
+
+		it("Should skip disconnected workers", function () {
+			fakeCluster.workers[3].isConnected = function () {
+				return false;
+			};
+			fakeCluster.emit('message', fakeCluster.workers[1], {crispCacheBus: {type: 'clear'}});
+			assert.equal(fakeCluster.workers[2].send.callCount, 1);
+			assert.equal(fakeCluster.workers[3].send.callCount, 0);
+		});
+
+		it("Should publish to every worker", function () {
+			bus.publish({type: 'clear'});
+			assert.equal(fakeCluster.workers[1].send.callCount, 1);
+			assert.equal(fakeCluster.workers[2].send.callCount, 1);
+			assert.equal(fakeCluster.workers[3].send.callCount, 1);
+		});
+
+		it("Should support the old isMaster flag", function () {
+			var oldCluster = new EventEmitter();
+			oldCluster.isMaster = true;
+			assert.ok(new ClusterBus({cluster: oldCluster, process: new EventEmitter()}).isPrimary);
+		});
+	});
+});
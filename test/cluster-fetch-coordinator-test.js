@@ -0,0 +1,258 @@
+var assert = require('assert'),
+	ClusterFetchCoordinator = require('../lib/ClusterFetchCoordinator'),
+	EventEmitter = require('events'),
+	sinon = require('sinon');
+
+describe("ClusterFetchCoordinator", function () {
+
+	function createWorker(id) {
+		return {
+			id:          id,
+			send:        sinon.spy(),
+			isConnected: function () {
+				return true;
+			}
+		};
+	}
+
+	function lastMessage(spy) {
+		return spy.lastCall.args[0].crispCacheLease;
+	}
+
+	describe("Worker", function () {
+
+		var coordinator,
+			fakeProcess;
+
+		beforeEach(function () {
+			fakeProcess = new EventEmitter();
+			fakeProcess.send = sinon.spy();
+			coordinator = new ClusterFetchCoordinator({
+				cluster:      {isPrimary: false},
+				process:      fakeProcess,
+				leaseTimeout: 1000
+			});
+		});
+
+		function reply(message) {
+			message.name = 'crisp-cache';
+			fakeProcess.emit('message', {crispCacheLease: message});
+		}
+
+		it("Should ask the primary for a lease", function () {
+			coordinator.coordinate('a', sinon.spy(), sinon.spy());
+			assert.deepEqual(lastMessage(fakeProcess.send), {type: 'acquire', key: 'a', requestId: 1, name: 'crisp-cache'});
+		});
+
+		it("Should fetch and share the result when granted", function () {
+			var callback = sinon.spy();
+			coordinator.coordinate('a', function (done) {
+				done(null, 'value_a', {expiresTtl: 100});
+			}, callback);
+			reply({type: 'granted', key: 'a', requestId: 1});
+			assert.ok(callback.calledWith(null, 'value_a', {expiresTtl: 100}));
+			assert.deepEqual(lastMessage(fakeProcess.send), {
+				type:    'result',
+				key:     'a',
+				error:   null,
+				value:   'value_a',
+				options: {expiresTtl: 100},
+				name:    'crisp-cache'
+			});
+		});
+
+		it("Should share fetch errors", function () {
+			var err = new Error('Not found');
+			err.code = 'ENOTFOUND';
+			coordinator.coordinate('a', function (done) {
+				done(err);
+			}, sinon.spy());
+			reply({type: 'granted', key: 'a', requestId: 1});
+			assert.deepEqual(lastMessage(fakeProcess.send).error, {message: 'Not found', code: 'ENOTFOUND'});
+		});
+
+		it("Should wait for another worker's result", function () {
+			var fetch = sinon.spy(),
+				callback = sinon.spy();
+			coordinator.coordinate('a', fetch, callback);
+			reply({type: 'wait', key: 'a', requestId: 1});
+			assert.equal(callback.callCount, 0);
+			reply({type: 'result', key: 'a', error: null, value: 'value_a', options: {staleTtl: 50}});
+			assert.equal(fetch.callCount, 0);
+			assert.ok(callback.calledWith(null, 'value_a', {staleTtl: 50}));
+		});
+
+		it("Should rebuild another worker's error", function () {
+			var callback = sinon.spy();
+			coordinator.coordinate('a', sinon.spy(), callback);
+			reply({type: 'wait', key: 'a', requestId: 1});
+			reply({type: 'result', key: 'a', error: {message: 'Not found', code: 'ENOTFOUND'}});
+			var err = callback.firstCall.args[0];
+			assert.ok(err instanceof Error);
+			assert.equal(err.message, 'Not found');
+			assert.equal(err.code, 'ENOTFOUND');
+		});
+
+		it("Should ask again when the lease holder exits", function () {
+			coordinator.coordinate('a', sinon.spy(), sinon.spy());
+			reply({type: 'wait', key: 'a', requestId: 1});
+			reply({type: 'retry', key: 'a'});
+			assert.deepEqual(lastMessage(fakeProcess.send), {type: 'acquire', key: 'a', requestId: 2, name: 'crisp-cache'});
+		});
+
+		it("Should ask again after the lease timeout", function () {
+			var clock = sinon.useFakeTimers();
+			try {
+				coordinator.coordinate('a', sinon.spy(), sinon.spy());
+				reply({type: 'wait', key: 'a', requestId: 1});
+				assert.equal(fakeProcess.send.callCount, 1);
+				clock.tick(1000);
+				assert.equal(fakeProcess.send.callCount, 2);
+				assert.equal(lastMessage(fakeProcess.send).type, 'acquire');
+				assert.deepEqual(coordinator.waiters, {});
+			}
+			finally {
+				clock.restore();
+			}
+		});
+
+		it("Should fetch when the primary doesn't answer", function () {
+			var clock = sinon.useFakeTimers();
+			try {
+				var fetch = sinon.spy(function (done) {
+						done(null, 'value_a');
+					}),
+					callback = sinon.spy();
+				coordinator.coordinate('a', fetch, callback);
+				clock.tick(999);
+				assert.equal(fetch.callCount, 0);
+				clock.tick(1);
+				assert.ok(callback.calledWith(null, 'value_a'));
+				assert.deepEqual(coordinator.requests, {});
+
+				// A late answer is ignored
+				reply({type: 'granted', key: 'a', requestId: 1});
+				assert.equal(fetch.callCount, 1);
+			}
+			finally {
+				clock.restore();
+			}
+		});
+
+		it("Should ignore messages for another name", function () {
+			var callback = sinon.spy();
+			coordinator.coordinate('a', sinon.spy(), callback);
+			reply({type: 'wait', key: 'a', requestId: 1});
+			fakeProcess.emit('message', {crispCacheLease: {type: 'result', key: 'a', value: 'other', name: 'other'}});
+			fakeProcess.emit('message', {type: 'result'});
+			assert.equal(callback.callCount, 0);
+		});
+
+		it("Should fetch without IPC", function () {
+			delete fakeProcess.send;
+			var callback = sinon.spy();
+			coordinator.coordinate('a', function (done) {
+				done(null, 'value_a');
+			}, callback);
+			assert.ok(callback.calledWith(null, 'value_a'));
+		});
+	});
+
+	describe("Primary", function () {
+
+		var coordinator,
+			fakeCluster,
+			clock;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			fakeCluster = new EventEmitter();
+			fakeCluster.isPrimary = true;
+			fakeCluster.workers = {1: createWorker(1), 2: createWorker(2), 3: createWorker(3)};
+			coordinator = new ClusterFetchCoordinator({
+				cluster:      fakeCluster,
+				process:      new EventEmitter(),
+				leaseTimeout: 1000
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		function send(workerId, message) {
+			message.name = 'crisp-cache';
+			fakeCluster.emit('message', fakeCluster.workers[workerId], {crispCacheLease: message});
+		}
+
+		it("Should grant the first worker the lease", function () {
+			send(1, {type: 'acquire', key: 'a', requestId: 1});
+			send(2, {type: 'acquire', key: 'a', requestId: 1});
+			assert.equal(lastMessage(fakeCluster.workers[1].send).type, 'granted');
+			assert.equal(lastMessage(fakeCluster.workers[2].send).type, 'wait');
+			assert.equal(lastMessage(fakeCluster.workers[2].send).requestId, 1);
+		});
+
+		it("Should lease each key separately", function () {
+			send(1, {type: 'acquire', key: 'a', requestId: 1});
+			send(2, {type: 'acquire', key: 'b', requestId: 1});
+			assert.equal(lastMessage(fakeCluster.workers[2].send).type, 'granted');
+		});
+
+		it("Should pass the result to waiting workers and release the lease", function () {
+			send(1, {type: 'acquire', key: 'a', requestId: 1});
+			send(2, {type: 'acquire', key: 'a', requestId: 1});
+			send(3, {type: 'acquire', key: 'a', requestId: 1});
+			send(1, {type: 'result', key: 'a', error: null, value: 'value_a'});
+			assert.equal(lastMessage(fakeCluster.workers[2].send).value, 'value_a');
+			assert.equal(lastMessage(fakeCluster.workers[3].send).value, 'value_a');
+			assert.equal(fakeCluster.workers[1].send.callCount, 1);
+			assert.deepEqual(coordinator.leases, {});
+		});
+
+		it("Should grant an expired lease to another worker", function () {
+			send(1, {type: 'acquire', key: 'a', requestId: 1});
+			clock.tick(1000);
+			send(2, {type: 'acquire', key: 'a', requestId: 1});
+			assert.equal(lastMessage(fakeCluster.workers[2].send).type, 'granted');
+		});
+
+		it("Should keep waiters when a lease is taken over", function () {
+			send(1, {type: 'acquire', key: 'a', requestId: 1});
+			send(3, {type: 'acquire', key: 'a', requestId: 1});
+			clock.tick(1000);
+			send(2, {type: 'acquire', key: 'a', requestId: 1});
+			send(2, {type: 'result', key: 'a', error: null, value: 'value_a'});
+			assert.equal(lastMessage(fakeCluster.workers[3].send).value, 'value_a');
+		});
+
+		it("Should tell waiters to retry when the lease holder exits", function () {
+			send(1, {type: 'acquire', key: 'a', requestId: 1});
+			send(2, {type: 'acquire', key: 'a', requestId: 1});
+			fakeCluster.emit('exit', fakeCluster.workers[1]);
+			assert.deepEqual(lastMessage(fakeCluster.workers[2].send), {type: 'retry', key: 'a', name: 'crisp-cache'});
+			assert.deepEqual(coordinator.leases, {});
+		});
+
+		it("Should forget waiters that exit", function () {
+			send(1, {type: 'acquire', key: 'a', requestId: 1});
+			send(2, {type: 'acquire', key: 'a', requestId: 1});
+			fakeCluster.emit('exit', fakeCluster.workers[2]);
+			assert.deepEqual(coordinator.leases.a.waiters, {});
+		});
+
+		it("Should fetch in the primary", function () {
+			var callback = sinon.spy();
+			coordinator.coordinate('a', function (done) {
+				done(null, 'value_a');
+			}, callback);
+			assert.ok(callback.calledWith(null, 'value_a'));
+		});
+
+		it("Should support the old isMaster flag", function () {
+			var oldCluster = new EventEmitter();
+			oldCluster.isMaster = true;
+			assert.ok(new ClusterFetchCoordinator({cluster: oldCluster, process: new EventEmitter()}).isPrimary);
+		});
+	});
+});
@@ -1446,6 +1446,3644 @@ describe("CrispCache", function () {
 		});
 	});
 
+	describe("Eviction Policies", function () {
+
+		it("Should default to LRU", function () {
+			var crispCache = new CrispCache({fetcher: fetcher, maxSize: 10});
+			assert.ok(crispCache._lru instanceof require('../lib/Lru'));
+		});
+
+		it("Should throw for an unknown policy", function () {
+			assert.throws(function () {
+				new CrispCache({fetcher: fetcher, maxSize: 10, evictionPolicy: 'fifo'});
+			}, /Unknown evictionPolicy "fifo"/);
+		});
+
+		it("Should accept a custom policy", function (done) {
+			var options = null,
+				touched = [];
+
+			function Policy(policyOptions) {
+				options = policyOptions;
+				this.size = 0;
+				this.maxSize = policyOptions.maxSize;
+			}
+
+			Policy.prototype.put = function (key, size) {
+				this.size += size;
+			};
+			Policy.prototype.touch = function (key) {
+				touched.push(key);
+			};
+			Policy.prototype.del = function () {
+			};
+			Policy.prototype.clear = function () {
+			};
+
+			var crispCache = new CrispCache({
+				fetcher:           fetcher,
+				defaultExpiresTtl: 1000,
+				maxSize:           10,
+				evictionPolicy:    Policy
+			});
+			assert.equal(options.maxSize, 10);
+			assert.equal(typeof options.delCallback, 'function');
+			crispCache.set('a', 'value', {size: 2}, function () {
+				crispCache.get('a', function (err, value) {
+					assert.equal(value, 'value');
+					assert.deepEqual(touched, ['a']);
+					assert.equal(crispCache.getUsage().size, 2);
+
+					// Evicting through the callback removes the entry from the store
+					options.delCallback('a', {skipLruDelete: true});
+					assert.equal(crispCache.cache['a'], undefined);
+					done();
+				});
+			});
+		});
+
+		['lfu', 'wtinylfu', 'arc'].forEach(function (evictionPolicy) {
+			it("Should evict with " + evictionPolicy, function (done) {
+				var crispCache = new CrispCache({
+					fetcher:           fetcher,
+					defaultExpiresTtl: 1000,
+					maxSize:           3,
+					evictionPolicy:    evictionPolicy
+				});
+				async.eachSeries(['a', 'b', 'c', 'd', 'e'], function (key, callback) {
+					crispCache.set(key, 'value ' + key, {size: 1}, callback);
+				}, function (err) {
+					assert.ifError(err);
+					assert.equal(crispCache._lru.size, 3);
+					assert.equal(Object.keys(crispCache.cache).length, 3);
+					done();
+				});
+			});
+		});
+
+		it("Should keep frequently read keys with lfu", function (done) {
+			var crispCache = new CrispCache({
+				fetcher:           fetcher,
+				defaultExpiresTtl: 1000,
+				maxSize:           3,
+				evictionPolicy:    'lfu'
+			});
+			async.series([
+				function (callback) {
+					crispCache.set('hot', 'value', {size: 1}, callback);
+				},
+				function (callback) {
+					crispCache.get('hot', callback);
+				},
+				function (callback) {
+					async.eachSeries(['a', 'b', 'c', 'd'], function (key, callback) {
+						crispCache.set(key, 'value ' + key, {size: 1}, callback);
+					}, callback);
+				}
+			], function (err) {
+				assert.ifError(err);
+				assert.ok(crispCache.cache['hot']);
+				assert.equal(Object.keys(crispCache.cache).length, 3);
+				done();
+			});
+		});
+	});
+
+	describe("Size Calculator", function () {
+
+		var crispCache;
+
+		beforeEach(function () {
+			crispCache = new CrispCache({
+				fetcher:           fetcher,
+				defaultExpiresTtl: 1000,
+				maxSize:           100,
+				sizeCalculator:    'bytes'
+			});
+		});
+
+		it("Should throw for an unknown sizeCalculator", function () {
+			assert.throws(function () {
+				new CrispCache({fetcher: fetcher, sizeCalculator: 'guess'});
+			}, /Unknown sizeCalculator "guess"/);
+		});
+
+		it("Should calculate the size on set", function (done) {
+			crispCache.set('a', 'twelve bytes', function (err) {
+				assert.ifError(err);
+				assert.equal(crispCache.cache['a'].size, 12);
+				assert.equal(crispCache.getUsage().size, 12);
+				done();
+			});
+		});
+
+		it("Should prefer an explicit size", function (done) {
+			crispCache.set('a', 'twelve bytes', {size: 3}, function (err) {
+				assert.ifError(err);
+				assert.equal(crispCache.cache['a'].size, 3);
+				done();
+			});
+		});
+
+		it("Should calculate the size of fetched values", function (done) {
+			crispCache.get('hash', function (err, value) {
+				assert.ifError(err);
+				assert.equal(crispCache.cache['hash'].size, JSON.stringify(data.hash).length);
+				done();
+			});
+		});
+
+		it("Should evict by calculated size", function (done) {
+			async.eachSeries(['a', 'b', 'c'], function (key, callback) {
+				crispCache.set(key, 'x'.repeat(40), callback);
+			}, function (err) {
+				assert.ifError(err);
+				assert.equal(crispCache.cache['a'], undefined);
+				assert.equal(crispCache.getUsage().size, 80);
+				done();
+			});
+		});
+
+		it("Should report the total size without a maxSize", function (done) {
+			crispCache = new CrispCache({
+				fetcher:           fetcher,
+				defaultExpiresTtl: 1000,
+				sizeCalculator:    'bytes'
+			});
+			async.series([
+				crispCache.set.bind(crispCache, 'a', 'twelve bytes'),
+				crispCache.set.bind(crispCache, 'b', 'four'),
+				crispCache.set.bind(crispCache, 'a', 'six by'),
+				crispCache.del.bind(crispCache, 'b')
+			], function (err) {
+				assert.ifError(err);
+				var usage = crispCache.getUsage();
+				assert.strictEqual(usage.size, 6);
+				assert.strictEqual(usage.maxSize, null);
+				crispCache.clear(function (err) {
+					assert.ifError(err);
+					assert.strictEqual(crispCache.getUsage().size, 0);
+					done();
+				});
+			});
+		});
+
+		it("Should use a custom function", function (done) {
+			var sizeCalculator = sinon.spy(function (value) {
+				return value.length * 2;
+			});
+			crispCache = new CrispCache({
+				fetcher:           fetcher,
+				defaultExpiresTtl: 1000,
+				maxSize:           100,
+				sizeCalculator:    sizeCalculator
+			});
+			crispCache.set('a', [1, 2, 3], function (err) {
+				assert.ifError(err);
+				assert.ok(sizeCalculator.calledWith([1, 2, 3], 'a'));
+				assert.equal(crispCache.cache['a'].size, 6);
+				done();
+			});
+		});
+
+		it("Should fall back to 1 when the calculator throws", function (done) {
+			var circular = {};
+			circular.self = circular;
+			crispCache.set('a', circular, function (err) {
+				assert.ifError(err);
+				assert.equal(crispCache.cache['a'].size, 1);
+				done();
+			});
+		});
+	});
+
+	describe("Heap Pressure", function () {
+
+		var v8 = require('v8'),
+			clock,
+			crispCache,
+			heapUsed;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			heapUsed = 100;
+			sinon.stub(v8, 'getHeapStatistics', function () {
+				return {used_heap_size: heapUsed, heap_size_limit: 1000};
+			});
+			crispCache = new CrispCache({
+				fetcher:           fetcher,
+				defaultExpiresTtl: 10000,
+				heapCheckInterval: 100,
+				heapThreshold:     0.8,
+				heapEvictRatio:    0.2
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+			v8.getHeapStatistics.restore();
+		});
+
+		function setKeys(keys, callback) {
+			async.eachSeries(keys, function (key, callback) {
+				crispCache.set(key, 'value ' + key, {size: 1}, callback);
+			}, callback);
+		}
+
+		it("Should track entries without a maxSize", function (done) {
+			setKeys(['a', 'b'], function (err) {
+				assert.ifError(err);
+				assert.equal(crispCache._lru.size, 2);
+				assert.equal(crispCache._lru.maxSize, Infinity);
+				done();
+			});
+		});
+
+		it("Should not evict under the threshold", function (done) {
+			setKeys(['a', 'b', 'c', 'd', 'e'], function (err) {
+				assert.ifError(err);
+				clock.tick(100);
+				assert.equal(Object.keys(crispCache.cache).length, 5);
+				assert.equal(crispCache.getUsage().heapEvictions, 0);
+				done();
+			});
+		});
+
+		it("Should evict the least recently used entries over the threshold", function (done) {
+			var heapEvictSpy = sinon.spy();
+			crispCache.on('heapEvict', heapEvictSpy);
+			setKeys(['a', 'b', 'c', 'd', 'e'], function (err) {
+				assert.ifError(err);
+				heapUsed = 900;
+				clock.tick(100);
+				assert.deepEqual(Object.keys(crispCache.cache), ['b', 'c', 'd', 'e']);
+				assert.equal(heapEvictSpy.callCount, 1);
+				assert.deepEqual(heapEvictSpy.firstCall.args[0], {keys: ['a'], heapUsed: 900, heapLimit: 1000});
+				assert.equal(crispCache.getUsage().heapEvictions, 1);
+				done();
+			});
+		});
+
+		it("Should keep evicting until the pressure drops", function (done) {
+			setKeys(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'], function (err) {
+				assert.ifError(err);
+				heapUsed = 900;
+				clock.tick(100);
+				assert.equal(crispCache._lru.size, 8);
+				clock.tick(100);
+				assert.equal(crispCache._lru.size, 6);
+				heapUsed = 500;
+				clock.tick(100);
+				assert.equal(crispCache._lru.size, 6);
+				assert.equal(Object.keys(crispCache.cache).length, 6);
+				assert.equal(crispCache.getUsage().heapEvictions, 4);
+				done();
+			});
+		});
+
+		it("Should leave a shared store alone", function (done) {
+			var shared = new CrispCache.MemoryStore();
+			crispCache = new CrispCache({
+				fetcher:           fetcher,
+				defaultExpiresTtl: 10000,
+				heapCheckInterval: 100,
+				heapThreshold:     0.8,
+				heapEvictRatio:    0.5,
+				store:             shared,
+				l1MaxSize:         10
+			});
+			setKeys(['a', 'b'], function (err) {
+				assert.ifError(err);
+				heapUsed = 900;
+				clock.tick(100);
+				assert.deepEqual(Object.keys(crispCache.store.l1.cache), ['b']);
+				assert.deepEqual(Object.keys(shared.cache), ['a', 'b']);
+				assert.equal(crispCache.getUsage().heapEvictions, 1);
+				done();
+			});
+		});
+
+		it("Should accept a threshold in bytes", function (done) {
+			crispCache.heapThreshold = 950;
+			setKeys(['a', 'b'], function (err) {
+				assert.ifError(err);
+				heapUsed = 900;
+				clock.tick(100);
+				assert.equal(Object.keys(crispCache.cache).length, 2);
+				heapUsed = 960;
+				clock.tick(100);
+				assert.equal(Object.keys(crispCache.cache).length, 1);
+				done();
+			});
+		});
+
+		it("Should not add heapEvictions to stats when disabled", function () {
+			var basicCache = new CrispCache({fetcher: fetcher});
+			assert.equal(basicCache.getUsage().heapEvictions, undefined);
+		});
+	});
+
+	describe("Tags", function () {
+
+		var clock,
+			crispCache,
+			fetcherSpy;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			fetcherSpy = sinon.spy(function (key, callback) {
+				callback(null, data[key], {tags: ['fetched', 'key:' + key]});
+			});
+			crispCache = new CrispCache({
+				fetcher:            fetcherSpy,
+				defaultStaleTtl:    300,
+				defaultExpiresTtl:  500,
+				evictCheckInterval: 1000,
+				maxSize:            3
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		function setTagged(callback) {
+			async.series([
+				function (callback) {
+					crispCache.set('a', 'A', {tags: ['user:1', 'tenant:1']}, callback);
+				},
+				function (callback) {
+					crispCache.set('b', 'B', {tags: ['user:2', 'tenant:1']}, callback);
+				},
+				function (callback) {
+					crispCache.set('c', 'C', callback);
+				}
+			], callback);
+		}
+
+		it("Should keep tags on the entry", function (done) {
+			setTagged(function (err) {
+				assert.ifError(err);
+				assert.deepEqual(crispCache.cache['a'].tags, ['user:1', 'tenant:1']);
+				assert.strictEqual(crispCache.cache['c'].tags, null);
+				done();
+			});
+		});
+
+		it("Should delete every entry with a tag", function (done) {
+			var deleteSpy = sinon.spy();
+			crispCache.on('delete', deleteSpy);
+			setTagged(function (err) {
+				assert.ifError(err);
+				crispCache.invalidateTag('tenant:1', function (err, keys) {
+					assert.ifError(err);
+					assert.deepEqual(keys, ['a', 'b']);
+					assert.deepEqual(Object.keys(crispCache.cache), ['c']);
+					assert.equal(deleteSpy.callCount, 2);
+					assert.equal(deleteSpy.firstCall.args[0].key, 'a');
+					assert.equal(crispCache._lru.size, 1);
+					assert.deepEqual(crispCache._tagIndex.keys('user:1'), []);
+					done();
+				});
+			});
+		});
+
+		it("Should do nothing for an unknown tag", function (done) {
+			setTagged(function (err) {
+				assert.ifError(err);
+				crispCache.invalidateTag('tenant:2', function (err, keys) {
+					assert.ifError(err);
+					assert.deepEqual(keys, []);
+					assert.equal(Object.keys(crispCache.cache).length, 3);
+					done();
+				});
+			});
+		});
+
+		it("Should return a Promise", function () {
+			return crispCache.set('a', 'A', {tags: ['user:1']})
+				.then(function () {
+					return crispCache.invalidateTag('user:1');
+				})
+				.then(function (keys) {
+					assert.deepEqual(keys, ['a']);
+				});
+		});
+
+		it("Should mark entries stale with soft", function (done) {
+			setTagged(function (err) {
+				assert.ifError(err);
+				crispCache.invalidateTag('user:1', {soft: true}, function (err, keys) {
+					assert.ifError(err);
+					assert.deepEqual(keys, ['a']);
+					assert.ok(crispCache.cache['a'].isStale());
+					assert.ok(crispCache.cache['b'].isValid());
+					crispCache.get('a', function (err, value) {
+						assert.ifError(err);
+						assert.equal(value, 'A');
+						process.nextTick(function () {
+							assert.equal(fetcherSpy.callCount, 1);
+							assert.ok(crispCache.cache['a'].isValid());
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it("Should index tags from the fetcher", function (done) {
+			crispCache.get('hello', function (err, value) {
+				assert.ifError(err);
+				assert.deepEqual(crispCache._tagIndex.keys('key:hello'), ['hello']);
+				crispCache.invalidateTag('fetched', function (err, keys) {
+					assert.ifError(err);
+					assert.deepEqual(keys, ['hello']);
+					assert.equal(crispCache.cache['hello'], undefined);
+					done();
+				});
+			});
+		});
+
+		it("Should keep tags when refreshing a stale entry", function (done) {
+			crispCache.fetcher = sinon.spy(function (key, callback) {
+				callback(null, 'new ' + key);
+			});
+			crispCache.set('a', 'A', {tags: ['user:1']}, function (err) {
+				assert.ifError(err);
+				clock.tick(301);
+				crispCache.get('a', function (err, value) {
+					assert.equal(value, 'A');
+					process.nextTick(function () {
+						assert.equal(crispCache.cache['a'].value, 'new a');
+						assert.deepEqual(crispCache._tagIndex.keys('user:1'), ['a']);
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should drop tags when an entry is replaced without them", function (done) {
+			setTagged(function (err) {
+				assert.ifError(err);
+				crispCache.set('a', 'A2', function (err) {
+					assert.ifError(err);
+					assert.deepEqual(crispCache._tagIndex.keys('user:1'), []);
+					done();
+				});
+			});
+		});
+
+		it("Should remove evicted entries from the index", function (done) {
+			setTagged(function (err) {
+				assert.ifError(err);
+				crispCache.set('d', 'D', function (err) {
+					assert.ifError(err);
+					assert.equal(crispCache.cache['a'], undefined);
+					assert.deepEqual(crispCache._tagIndex.keys('tenant:1'), ['b']);
+					done();
+				});
+			});
+		});
+
+		it("Should remove expired entries from the index", function (done) {
+			setTagged(function (err) {
+				assert.ifError(err);
+				clock.tick(1000);
+				assert.deepEqual(crispCache._tagIndex.keys('tenant:1'), []);
+				assert.deepEqual(crispCache._tagIndex.keyTags, {});
+				done();
+			});
+		});
+
+		it("Should clear the index", function (done) {
+			setTagged(function (err) {
+				assert.ifError(err);
+				crispCache.clear(function (err) {
+					assert.ifError(err);
+					assert.deepEqual(crispCache._tagIndex.tagKeys, {});
+					done();
+				});
+			});
+		});
+	});
+
+	describe("Key Scanning", function () {
+
+		var crispCache;
+
+		beforeEach(function (done) {
+			crispCache = new CrispCache({
+				fetcher:           fetcher,
+				defaultExpiresTtl: 10000,
+				maxSize:           10,
+				scanChunkSize:     2
+			});
+			crispCache.setMany({
+				'user:1:profile':  'profile 1',
+				'user:1:settings': 'settings 1',
+				'user:12:profile': 'profile 12',
+				'user:2:profile':  'profile 2',
+				'tenant:1':        'tenant 1'
+			}, done);
+		});
+
+		it("Should list every key", function (done) {
+			crispCache.keys(function (err, keys) {
+				assert.ifError(err);
+				assert.equal(keys.length, 5);
+				done();
+			});
+		});
+
+		it("Should list keys matching a glob", function (done) {
+			crispCache.keys('user:?:profile', function (err, keys) {
+				assert.ifError(err);
+				assert.deepEqual(keys.sort(), ['user:1:profile', 'user:2:profile']);
+				done();
+			});
+		});
+
+		it("Should list keys matching a RegExp", function () {
+			return crispCache.keys(/^user:1\d*:/g)
+				.then(function (keys) {
+					assert.deepEqual(keys.sort(), ['user:12:profile', 'user:1:profile', 'user:1:settings']);
+				});
+		});
+
+		it("Should treat other characters in a glob literally", function (done) {
+			crispCache.set('a.b(c)', 'value', function (err) {
+				assert.ifError(err);
+				crispCache.keys('a.b(*', function (err, keys) {
+					assert.ifError(err);
+					assert.deepEqual(keys, ['a.b(c)']);
+					done();
+				});
+			});
+		});
+
+		it("Should delete by prefix", function (done) {
+			var deleteSpy = sinon.spy();
+			crispCache.on('delete', deleteSpy);
+			crispCache.delByPrefix('user:1:', function (err, keys) {
+				assert.ifError(err);
+				assert.deepEqual(keys.sort(), ['user:1:profile', 'user:1:settings']);
+				assert.deepEqual(Object.keys(crispCache.cache).sort(), ['tenant:1', 'user:12:profile', 'user:2:profile']);
+				assert.equal(deleteSpy.callCount, 2);
+				assert.equal(crispCache._lru.size, 3);
+				done();
+			});
+		});
+
+		it("Should delete by pattern", function (done) {
+			crispCache.delByPattern('user:*:profile', function (err, keys) {
+				assert.ifError(err);
+				assert.equal(keys.length, 3);
+				assert.deepEqual(Object.keys(crispCache.cache).sort(), ['tenant:1', 'user:1:settings']);
+				assert.equal(crispCache._lru.size, 2);
+				done();
+			});
+		});
+
+		it("Should delete by RegExp with a Promise", function () {
+			return crispCache.delByPattern(/^tenant:/)
+				.then(function (keys) {
+					assert.deepEqual(keys, ['tenant:1']);
+					assert.equal(crispCache.cache['tenant:1'], undefined);
+				});
+		});
+
+		it("Should yield between chunks", function (done) {
+			var immediateSpy = sinon.spy(global, 'setImmediate');
+			crispCache.keys(function (err, keys) {
+				immediateSpy.restore();
+				assert.ifError(err);
+				// 5 keys in chunks of 2
+				assert.equal(immediateSpy.callCount, 2);
+				done();
+			});
+		});
+
+		it("Should pass along store errors", function (done) {
+			crispCache.store.keys = function (callback) {
+				callback(new Error('store error'));
+			};
+			crispCache.delByPrefix('user:', function (err) {
+				assert.equal(err.message, 'store error');
+				done();
+			});
+		});
+	});
+
+	describe("Invalidate", function () {
+
+		var crispCache,
+			fetcherSpy;
+
+		beforeEach(function (done) {
+			fetcherSpy = sinon.spy(function (key, callback) {
+				callback(null, 'new ' + key);
+			});
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultStaleTtl:   10000,
+				defaultExpiresTtl: 20000,
+				errorTtl:          10000
+			});
+			crispCache.setMany({
+				'user:1:profile':  'profile 1',
+				'user:1:settings': 'settings 1',
+				'user:2:profile':  'profile 2'
+			}, done);
+		});
+
+		it("Should delete a key", function (done) {
+			crispCache.invalidate('user:1:profile', function (err, keys) {
+				assert.ifError(err);
+				assert.deepEqual(keys, ['user:1:profile']);
+				assert.equal(crispCache.cache['user:1:profile'], undefined);
+				done();
+			});
+		});
+
+		it("Should soft invalidate a key", function (done) {
+			crispCache.invalidate('user:1:profile', {soft: true}, function (err, keys) {
+				assert.ifError(err);
+				assert.deepEqual(keys, ['user:1:profile']);
+				assert.ok(crispCache.cache['user:1:profile'].isStale());
+				crispCache.get('user:1:profile', function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, 'profile 1');
+					process.nextTick(function () {
+						assert.equal(fetcherSpy.callCount, 1);
+						assert.equal(crispCache.cache['user:1:profile'].getValue(), 'new user:1:profile');
+						assert.ok(crispCache.cache['user:1:profile'].isValid());
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should soft invalidate by prefix", function (done) {
+			crispCache.invalidate({prefix: 'user:1:'}, {soft: true}, function (err, keys) {
+				assert.ifError(err);
+				assert.deepEqual(keys.sort(), ['user:1:profile', 'user:1:settings']);
+				assert.ok(crispCache.cache['user:1:profile'].isStale());
+				assert.ok(crispCache.cache['user:1:settings'].isStale());
+				assert.ok(crispCache.cache['user:2:profile'].isValid());
+				done();
+			});
+		});
+
+		it("Should soft invalidate by pattern", function () {
+			return crispCache.invalidate({pattern: 'user:*:profile'}, {soft: true})
+				.then(function (keys) {
+					assert.equal(keys.length, 2);
+					assert.ok(crispCache.cache['user:1:profile'].isStale());
+					assert.ok(crispCache.cache['user:1:settings'].isValid());
+				});
+		});
+
+		it("Should soft invalidate by tag", function (done) {
+			crispCache.set('tagged', 'value', {tags: ['user:1']}, function (err) {
+				assert.ifError(err);
+				crispCache.invalidate({tag: 'user:1'}, {soft: true}, function (err, keys) {
+					assert.ifError(err);
+					assert.deepEqual(keys, ['tagged']);
+					assert.ok(crispCache.cache['tagged'].isStale());
+					done();
+				});
+			});
+		});
+
+		it("Should delete negative entries when soft invalidating", function (done) {
+			crispCache.fetcher = function (key, callback) {
+				callback(new Error('fetcher error'));
+			};
+			crispCache.get('broken', function (err) {
+				assert.equal(err.message, 'fetcher error');
+				assert.ok(crispCache.cache['broken'].isNegative());
+				crispCache.invalidate('broken', {soft: true}, function (err) {
+					assert.ifError(err);
+					assert.equal(crispCache.cache['broken'], undefined);
+					done();
+				});
+			});
+		});
+
+		it("Should ignore missing keys", function (done) {
+			crispCache.invalidate('missing', {soft: true}, function (err) {
+				assert.ifError(err);
+				assert.equal(crispCache.cache['missing'], undefined);
+				done();
+			});
+		});
+
+		it("Should be picked up by the stale check", function (done) {
+			crispCache.invalidate('user:2:profile', {soft: true}, function (err) {
+				assert.ifError(err);
+				crispCache._staleCheck();
+				process.nextTick(function () {
+					assert.equal(fetcherSpy.callCount, 1);
+					assert.ok(crispCache.cache['user:2:profile'].isValid());
+					done();
+				});
+			});
+		});
+
+		it("Should survive serialization", function () {
+			var entry = new CacheEntry({value: 'a', staleTtl: 1000});
+			entry.invalidate();
+			var copy = CacheEntry.fromJSON(JSON.parse(JSON.stringify(entry)));
+			assert.ok(copy.isStale());
+		});
+
+		it("Should error without a target", function (done) {
+			crispCache.invalidate({}, function (err) {
+				assert.ok(err);
+				done();
+			});
+		});
+	});
+
+	describe("Invalidation Bus", function () {
+
+		// Delivers every message to every subscriber (including the sender) as JSON, like an IPC channel would
+		function LocalBus() {
+			this.handlers = [];
+			this.messages = [];
+		}
+
+		LocalBus.prototype.publish = function (message) {
+			this.messages.push(message);
+			var json = JSON.stringify(message);
+			this.handlers.forEach(function (handler) {
+				handler(JSON.parse(json));
+			});
+		};
+
+		LocalBus.prototype.subscribe = function (handler) {
+			this.handlers.push(handler);
+		};
+
+		var bus,
+			cacheA,
+			cacheB;
+
+		function createCache(options) {
+			var cacheOptions = {
+				fetcher:           function (key, callback) {
+					callback(null, 'fetched ' + key);
+				},
+				defaultStaleTtl:   10000,
+				defaultExpiresTtl: 20000,
+				invalidationBus:   bus
+			};
+			for (var option in options) {
+				cacheOptions[option] = options[option];
+			}
+			return new CrispCache(cacheOptions);
+		}
+
+		beforeEach(function (done) {
+			bus = new LocalBus();
+			cacheA = createCache();
+			cacheB = createCache();
+			async.each([cacheA, cacheB], function (cache, callback) {
+				cache.setMany({
+					'user:1:profile': 'profile 1',
+					'user:2:profile': 'profile 2'
+				}, {skipBroadcast: true}, callback);
+			}, done);
+		});
+
+		it("Should give each cache its own id", function () {
+			assert.ok(cacheA.instanceId);
+			assert.notEqual(cacheA.instanceId, cacheB.instanceId);
+		});
+
+		it("Should delete in other caches", function (done) {
+			cacheA.del('user:1:profile', function (err) {
+				assert.ifError(err);
+				assert.equal(cacheB.cache['user:1:profile'], undefined);
+				assert.ok(cacheB.cache['user:2:profile']);
+				assert.equal(bus.messages.length, 1);
+				assert.equal(bus.messages[0].origin, cacheA.instanceId);
+				done();
+			});
+		});
+
+		it("Should drop a set key from other caches", function (done) {
+			cacheA.set('user:1:profile', 'new profile', function (err) {
+				assert.ifError(err);
+				assert.equal(cacheA.cache['user:1:profile'].getValue(), 'new profile');
+				assert.equal(cacheB.cache['user:1:profile'], undefined);
+				done();
+			});
+		});
+
+		it("Should soft invalidate in other caches", function (done) {
+			cacheA.invalidate({prefix: 'user:'}, {soft: true}, function (err) {
+				assert.ifError(err);
+				assert.ok(cacheB.cache['user:1:profile'].isStale());
+				assert.ok(cacheB.cache['user:2:profile'].isStale());
+				assert.equal(bus.messages.length, 1);
+				done();
+			});
+		});
+
+		it("Should send patterns to other caches", function (done) {
+			cacheA.delByPattern(/^user:2:/, function (err) {
+				assert.ifError(err);
+				setImmediate(function () {
+					assert.ok(cacheB.cache['user:1:profile']);
+					assert.equal(cacheB.cache['user:2:profile'], undefined);
+					done();
+				});
+			});
+		});
+
+		it("Should clear other caches", function (done) {
+			cacheA.clear(function (err) {
+				assert.ifError(err);
+				assert.deepEqual(cacheB.cache, {});
+				done();
+			});
+		});
+
+		it("Should not loop back", function (done) {
+			cacheA.invalidate('user:1:profile', {soft: true}, function (err) {
+				assert.ifError(err);
+				// Only cacheA's message, cacheB doesn't send it on
+				assert.equal(bus.messages.length, 1);
+				done();
+			});
+		});
+
+		it("Should not broadcast fetched values", function (done) {
+			cacheA.get('user:3:profile', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'fetched user:3:profile');
+				assert.equal(bus.messages.length, 0);
+				done();
+			});
+		});
+
+		it("Should let a fetch in flight finish when a delete arrives", function (done) {
+			var slowCache = createCache({
+				fetcher: function (key, callback) {
+					setTimeout(callback.bind(null, null, 'fetched ' + key), 10);
+				}
+			});
+			slowCache.get('user:3:profile', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'fetched user:3:profile');
+				done();
+			});
+			cacheA.set('user:3:profile', 'profile 3', function (err) {
+				assert.ifError(err);
+			});
+		});
+
+		it("Should let a fetch in flight finish when an invalidation arrives", function (done) {
+			var slowCache = createCache({
+				fetcher: function (key, callback) {
+					setTimeout(callback.bind(null, null, 'fetched ' + key), 10);
+				}
+			});
+			slowCache.get('user:3:profile', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'fetched user:3:profile');
+				done();
+			});
+			cacheA.invalidate('user:3:profile', function (err) {
+				assert.ifError(err);
+			});
+		});
+
+		it("Should not broadcast evictions", function (done) {
+			var smallCache = createCache({maxSize: 1});
+			smallCache.set('a', 'A', {skipBroadcast: true}, function () {
+				smallCache.set('b', 'B', {skipBroadcast: true}, function () {
+					assert.equal(smallCache.cache['a'], undefined);
+					assert.equal(bus.messages.length, 0);
+					done();
+				});
+			});
+		});
+
+		describe("With a shared store", function () {
+
+			var shared;
+
+			beforeEach(function (done) {
+				shared = new CrispCache.MemoryStore();
+				cacheA = createCache({store: shared, l1MaxSize: 10});
+				cacheB = createCache({store: shared, l1MaxSize: 10});
+				cacheA.set('user:1:profile', 'profile 1', {skipBroadcast: true}, function (err) {
+					assert.ifError(err);
+					// Read into B's L1
+					cacheB.get('user:1:profile', done);
+				});
+			});
+
+			it("Should keep a set value in the shared store", function (done) {
+				cacheA.set('user:1:profile', 'new profile', function (err) {
+					assert.ifError(err);
+					assert.equal(shared.cache['user:1:profile'].getValue(), 'new profile');
+					assert.equal(cacheB.store.l1.cache['user:1:profile'], undefined);
+					cacheB.get('user:1:profile', {skipFetch: true}, function (err, value) {
+						assert.ifError(err);
+						assert.equal(value, 'new profile');
+						done();
+					});
+				});
+			});
+
+			it("Should only drop the local copy for invalidations", function (done) {
+				cacheA.invalidate({prefix: 'user:'}, {soft: true}, function (err) {
+					assert.ifError(err);
+					setImmediate(function () {
+						assert.equal(cacheB.store.l1.cache['user:1:profile'], undefined);
+						assert.ok(shared.cache['user:1:profile'].isStale());
+						done();
+					});
+				});
+			});
+
+			it("Should only drop local copies for clears", function (done) {
+				var sharedClear = sinon.spy(shared, 'clear');
+				cacheA.clear(function (err) {
+					assert.ifError(err);
+					assert.equal(sharedClear.callCount, 1);
+					assert.deepEqual(cacheB.store.l1.cache, {});
+					done();
+				});
+			});
+		});
+
+		it("Should ignore other channels", function (done) {
+			var otherCache = createCache({invalidationChannel: 'other'});
+			otherCache.set('user:1:profile', 'other profile', {skipBroadcast: true}, function () {
+				cacheA.del('user:1:profile', function (err) {
+					assert.ifError(err);
+					assert.ok(otherCache.cache['user:1:profile']);
+					done();
+				});
+			});
+		});
+
+		it("Should emit busMessage for received messages", function (done) {
+			var busMessageSpy = sinon.spy();
+			cacheB.on('busMessage', busMessageSpy);
+			cacheA.del('user:1:profile', function (err) {
+				assert.ifError(err);
+				assert.equal(busMessageSpy.callCount, 1);
+				assert.equal(busMessageSpy.firstCall.args[0].type, 'delete');
+				assert.equal(busMessageSpy.firstCall.args[0].key, 'user:1:profile');
+				done();
+			});
+		});
+	});
+
+	describe("Fetch Coordinator", function () {
+
+		// Lets the first cache to ask fetch a key, every other cache waits for its result
+		function LocalFetchCoordinator() {
+			this.inFlight = {};
+		}
+
+		LocalFetchCoordinator.prototype.coordinate = function (key, fetch, callback) {
+			if (this.inFlight[key]) {
+				return this.inFlight[key].push(callback);
+			}
+			this.inFlight[key] = [callback];
+			fetch(function (err, value, fetcherOptions) {
+				var callbacks = this.inFlight[key];
+				delete this.inFlight[key];
+				callbacks.forEach(function (callback) {
+					callback(err, value, fetcherOptions);
+				});
+			}.bind(this));
+		};
+
+		var fetcherSpy,
+			fetcherError,
+			cacheA,
+			cacheB;
+
+		beforeEach(function () {
+			fetcherError = null;
+			fetcherSpy = sinon.spy(function (key, callback) {
+				setImmediate(function () {
+					callback(fetcherError, 'fetched ' + key, {expiresTtl: 500});
+				});
+			});
+			var coordinator = new LocalFetchCoordinator();
+			cacheA = new CrispCache({fetcher: fetcherSpy, defaultExpiresTtl: 1000, fetchCoordinator: coordinator});
+			cacheB = new CrispCache({fetcher: fetcherSpy, defaultExpiresTtl: 1000, fetchCoordinator: coordinator});
+		});
+
+		it("Should fetch once for every cache", function (done) {
+			async.map([cacheA, cacheB], function (cache, callback) {
+				cache.get('a', callback);
+			}, function (err, values) {
+				assert.ifError(err);
+				assert.deepEqual(values, ['fetched a', 'fetched a']);
+				assert.equal(fetcherSpy.callCount, 1);
+				assert.equal(cacheA.cache['a'].expiresTtl, 500);
+				assert.equal(cacheB.cache['a'].expiresTtl, 500);
+				done();
+			});
+		});
+
+		it("Should share fetch errors", function (done) {
+			fetcherError = new Error('Not found');
+			async.map([cacheA, cacheB], function (cache, callback) {
+				cache.get('a', function (err) {
+					callback(null, err);
+				});
+			}, function (err, errors) {
+				assert.ifError(err);
+				assert.equal(errors[0].message, 'Not found');
+				assert.equal(errors[1].message, 'Not found');
+				assert.equal(fetcherSpy.callCount, 1);
+				done();
+			});
+		});
+
+		it("Should fetch without a coordinator", function (done) {
+			var cache = new CrispCache({fetcher: fetcherSpy, defaultExpiresTtl: 1000});
+			assert.equal(cache.fetchCoordinator, null);
+			cache.get('a', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'fetched a');
+				done();
+			});
+		});
+	});
+
+	describe("Snapshots", function () {
+
+		var fs = require('fs'),
+			os = require('os'),
+			path = require('path');
+
+		var snapshotPath,
+			clock;
+
+		function createCache(options) {
+			var cacheOptions = {
+				fetcher:           function (key, callback) {
+					callback(null, 'fetched ' + key);
+				},
+				defaultStaleTtl:   500,
+				defaultExpiresTtl: 1000
+			};
+			for (var option in options) {
+				cacheOptions[option] = options[option];
+			}
+			return new CrispCache(cacheOptions);
+		}
+
+		beforeEach(function () {
+			snapshotPath = path.join(os.tmpdir(), 'crisp-cache-snapshot-' + process.pid + '-' + Date.now());
+			clock = sinon.useFakeTimers(10000);
+		});
+
+		afterEach(function () {
+			clock.restore();
+			[snapshotPath, snapshotPath + '.tmp'].forEach(function (file) {
+				if (fs.existsSync(file)) {
+					fs.unlinkSync(file);
+				}
+			});
+		});
+
+		it("Should save and load entries", function (done) {
+			var cacheA = createCache(),
+				cacheB = createCache();
+			async.series([
+				cacheA.set.bind(cacheA, 'a', {hello: 'world'}, {tags: ['user:1'], size: 3}),
+				cacheA.set.bind(cacheA, 'b', 'value_b', {staleTtl: 100, expiresTtl: 200, staleIfErrorTtl: 300}),
+				function (callback) {
+					cacheA.saveSnapshot(snapshotPath, function (err, count) {
+						assert.ifError(err);
+						assert.equal(count, 2);
+						assert.ok(!fs.existsSync(snapshotPath + '.tmp'));
+						callback();
+					});
+				},
+				function (callback) {
+					cacheB.loadSnapshot(snapshotPath, function (err, keys) {
+						assert.ifError(err);
+						assert.deepEqual(keys.sort(), ['a', 'b']);
+						assert.deepEqual(cacheB.cache['a'], cacheA.cache['a']);
+						assert.deepEqual(cacheB.cache['b'], cacheA.cache['b']);
+						assert.deepEqual(cacheB._tagIndex.keys('user:1'), ['a']);
+						callback();
+					});
+				}
+			], done);
+		});
+
+		it("Should keep the age of entries", function (done) {
+			var cacheA = createCache(),
+				cacheB = createCache();
+			cacheA.set('a', 'value_a', function (err) {
+				assert.ifError(err);
+				clock.tick(600);
+				cacheA.saveSnapshot(snapshotPath, function (err) {
+					assert.ifError(err);
+					cacheB.loadSnapshot(snapshotPath, function (err) {
+						assert.ifError(err);
+						assert.equal(cacheB.cache['a'].created, 10000);
+						assert.ok(cacheB.cache['a'].isStale());
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should skip entries that expired since", function (done) {
+			var cacheA = createCache(),
+				cacheB = createCache();
+			async.series([
+				cacheA.set.bind(cacheA, 'a', 'value_a', {expiresTtl: 100}),
+				cacheA.set.bind(cacheA, 'b', 'value_b', {expiresTtl: 1000}),
+				cacheA.saveSnapshot.bind(cacheA, snapshotPath)
+			], function (err) {
+				assert.ifError(err);
+				clock.tick(500);
+				cacheB.loadSnapshot(snapshotPath, function (err, keys) {
+					assert.ifError(err);
+					assert.deepEqual(keys, ['b']);
+					assert.equal(cacheB.cache['a'], undefined);
+					done();
+				});
+			});
+		});
+
+		it("Should keep newer entries", function (done) {
+			var cacheA = createCache(),
+				cacheB = createCache();
+			async.series([
+				cacheA.set.bind(cacheA, 'a', 'old value'),
+				cacheA.saveSnapshot.bind(cacheA, snapshotPath),
+				function (callback) {
+					clock.tick(100);
+					cacheB.set('a', 'new value', callback);
+				},
+				cacheB.loadSnapshot.bind(cacheB, snapshotPath)
+			], function (err, results) {
+				assert.ifError(err);
+				assert.deepEqual(results[3], []);
+				assert.equal(cacheB.cache['a'].getValue(), 'new value');
+				done();
+			});
+		});
+
+		it("Should track loaded entries for eviction", function (done) {
+			var cacheA = createCache(),
+				cacheB = createCache({maxSize: 2});
+			async.series([
+				cacheA.setMany.bind(cacheA, {a: 'value_a', b: 'value_b', c: 'value_c'}, {size: 1}),
+				cacheA.saveSnapshot.bind(cacheA, snapshotPath),
+				cacheB.loadSnapshot.bind(cacheB, snapshotPath)
+			], function (err) {
+				assert.ifError(err);
+				assert.equal(cacheB._lru.size, 2);
+				assert.equal(Object.keys(cacheB.cache).length, 2);
+				done();
+			});
+		});
+
+		it("Should keep values JSON can't with the v8 serializer", function (done) {
+			var cacheA = createCache({snapshotSerializer: 'v8'}),
+				cacheB = createCache({snapshotSerializer: 'v8'});
+			async.series([
+				cacheA.set.bind(cacheA, 'a', {buffer: Buffer.from('hello'), date: new Date(5000)}),
+				cacheA.saveSnapshot.bind(cacheA, snapshotPath),
+				cacheB.loadSnapshot.bind(cacheB, snapshotPath)
+			], function (err) {
+				assert.ifError(err);
+				var value = cacheB.cache['a'].getValue();
+				assert.ok(Buffer.isBuffer(value.buffer));
+				assert.equal(value.buffer.toString(), 'hello');
+				assert.ok(value.date instanceof Date);
+				assert.equal(value.date.getTime(), 5000);
+				done();
+			});
+		});
+
+		it("Should use a custom serializer", function (done) {
+			var serializer = {
+				serialize:   sinon.spy(function (snapshot) {
+					return Buffer.from(JSON.stringify(snapshot));
+				}),
+				deserialize: sinon.spy(function (buffer) {
+					return JSON.parse(buffer.toString());
+				})
+			};
+			var cache = createCache({snapshotSerializer: serializer});
+			async.series([
+				cache.set.bind(cache, 'a', 'value_a'),
+				cache.saveSnapshot.bind(cache, snapshotPath),
+				cache.loadSnapshot.bind(cache, snapshotPath)
+			], function (err) {
+				assert.ifError(err);
+				assert.equal(serializer.serialize.callCount, 1);
+				assert.equal(serializer.deserialize.callCount, 1);
+				done();
+			});
+		});
+
+		it("Should throw on an unknown serializer", function () {
+			assert.throws(function () {
+				createCache({snapshotSerializer: 'xml'});
+			}, /Unknown snapshotSerializer "xml"/);
+		});
+
+		it("Should refuse files that aren't snapshots", function (done) {
+			fs.writeFileSync(snapshotPath, JSON.stringify({hello: 'world'}));
+			createCache().loadSnapshot(snapshotPath, function (err) {
+				assert.ok(err);
+				assert.ok(/Invalid snapshot/.test(err.message));
+				done();
+			});
+		});
+
+		it("Should call back with read errors", function (done) {
+			createCache().loadSnapshot(snapshotPath, function (err) {
+				assert.equal(err.code, 'ENOENT');
+				done();
+			});
+		});
+
+		it("Should return Promises", function () {
+			var cacheA = createCache(),
+				cacheB = createCache();
+			return cacheA.set('a', 'value_a')
+				.then(function () {
+					return cacheA.saveSnapshot(snapshotPath);
+				})
+				.then(function (count) {
+					assert.equal(count, 1);
+					return cacheB.loadSnapshot(snapshotPath);
+				})
+				.then(function (keys) {
+					assert.deepEqual(keys, ['a']);
+				});
+		});
+
+		it("Should save every persistInterval", function () {
+			var cache = createCache({persistInterval: 1000, persistPath: snapshotPath}),
+				saveSnapshot = sinon.stub(cache, 'saveSnapshot');
+			clock.tick(1000);
+			assert.equal(saveSnapshot.callCount, 1);
+			assert.equal(saveSnapshot.firstCall.args[0], snapshotPath);
+			// Still saving
+			clock.tick(1000);
+			assert.equal(saveSnapshot.callCount, 1);
+			saveSnapshot.firstCall.args[1](null, 0);
+			clock.tick(1000);
+			assert.equal(saveSnapshot.callCount, 2);
+		});
+
+		it("Should need a persistPath for persistInterval", function () {
+			assert.throws(function () {
+				createCache({persistInterval: 1000});
+			}, /Must pass a persistPath/);
+		});
+	});
+
+	describe("Warm", function () {
+
+		var crispCache,
+			fetcherSpy,
+			inFlight,
+			maxInFlight;
+
+		beforeEach(function () {
+			inFlight = 0;
+			maxInFlight = 0;
+			fetcherSpy = sinon.spy(function (key, callback) {
+				inFlight++;
+				maxInFlight = Math.max(maxInFlight, inFlight);
+				setImmediate(function () {
+					inFlight--;
+					if (key.indexOf('bad') === 0) {
+						return callback(new Error('Could not fetch ' + key));
+					}
+					callback(null, 'value_' + key);
+				});
+			});
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultExpiresTtl: 1000
+			});
+		});
+
+		// An async iterable of keys, like a loader reading them page by page
+		function asyncKeys(keys, error) {
+			var iterable = {};
+			iterable[Symbol.asyncIterator] = function () {
+				var index = 0;
+				return {
+					next: function () {
+						if (index === keys.length) {
+							return error ? Promise.reject(error) : Promise.resolve({done: true});
+						}
+						return Promise.resolve({done: false, value: keys[index++]});
+					}
+				};
+			};
+			return iterable;
+		}
+
+		it("Should fetch every key", function (done) {
+			crispCache.warm(['a', 'b', 'c'], function (err, summary) {
+				assert.ifError(err);
+				assert.equal(fetcherSpy.callCount, 3);
+				assert.equal(crispCache.cache['a'].getValue(), 'value_a');
+				assert.equal(crispCache.cache['c'].getValue(), 'value_c');
+				assert.equal(summary.total, 3);
+				assert.equal(summary.succeeded, 3);
+				assert.equal(summary.failed, 0);
+				assert.deepEqual(summary.errors, {});
+				assert.ok(summary.duration >= 0);
+				done();
+			});
+		});
+
+		it("Should limit concurrency", function (done) {
+			var keys = [];
+			for (var i = 0; i < 20; i++) {
+				keys.push('key' + i);
+			}
+			crispCache.warm(keys, {concurrency: 3}, function (err, summary) {
+				assert.ifError(err);
+				assert.equal(summary.succeeded, 20);
+				assert.equal(maxInFlight, 3);
+				done();
+			});
+		});
+
+		it("Should keep going when keys fail", function (done) {
+			crispCache.warm(['a', 'bad1', 'b', 'bad2'], {concurrency: 1}, function (err, summary) {
+				assert.ifError(err);
+				assert.equal(summary.succeeded, 2);
+				assert.equal(summary.failed, 2);
+				assert.deepEqual(Object.keys(summary.errors), ['bad1', 'bad2']);
+				assert.equal(summary.errors['bad1'].message, 'Could not fetch bad1');
+				assert.ok(crispCache.cache['b']);
+				done();
+			});
+		});
+
+		it("Should not fetch cached keys", function (done) {
+			crispCache.set('a', 'cached', function (err) {
+				assert.ifError(err);
+				crispCache.warm(['a', 'b'], function (err, summary) {
+					assert.ifError(err);
+					assert.equal(summary.succeeded, 2);
+					assert.equal(fetcherSpy.callCount, 1);
+					assert.equal(crispCache.cache['a'].getValue(), 'cached');
+					done();
+				});
+			});
+		});
+
+		it("Should pass get options on", function (done) {
+			crispCache.set('a', 'cached', function (err) {
+				assert.ifError(err);
+				crispCache.warm(['a'], {forceFetch: true}, function (err) {
+					assert.ifError(err);
+					assert.equal(crispCache.cache['a'].getValue(), 'value_a');
+					done();
+				});
+			});
+		});
+
+		it("Should warm an iterable", function (done) {
+			crispCache.warm(new Set(['a', 'b']), function (err, summary) {
+				assert.ifError(err);
+				assert.equal(summary.succeeded, 2);
+				done();
+			});
+		});
+
+		it("Should warm an async iterable", function (done) {
+			crispCache.warm(asyncKeys(['a', 'b', 'c']), {concurrency: 2}, function (err, summary) {
+				assert.ifError(err);
+				assert.equal(summary.succeeded, 3);
+				assert.ok(crispCache.cache['c']);
+				done();
+			});
+		});
+
+		it("Should call back with loader errors once running gets are done", function (done) {
+			crispCache.warm(asyncKeys(['a'], new Error('Loader failed')), function (err) {
+				assert.equal(err.message, 'Loader failed');
+				assert.ok(crispCache.cache['a']);
+				done();
+			});
+		});
+
+		it("Should call back with an error for invalid keys", function (done) {
+			crispCache.warm(42, function (err) {
+				assert.ok(/Keys must be an array/.test(err.message));
+				done();
+			});
+		});
+
+		it("Should emit progress", function (done) {
+			var progressSpy = sinon.spy(),
+				doneSpy = sinon.spy();
+			crispCache.on('warmProgress', progressSpy);
+			crispCache.on('warmDone', doneSpy);
+			crispCache.warm(['a', 'bad'], {concurrency: 1}, function (err, summary) {
+				assert.ifError(err);
+				assert.equal(progressSpy.callCount, 2);
+				assert.deepEqual(progressSpy.firstCall.args[0], {key: 'a', error: null, total: 1, succeeded: 1, failed: 0});
+				assert.equal(progressSpy.secondCall.args[0].key, 'bad');
+				assert.ok(progressSpy.secondCall.args[0].error instanceof Error);
+				assert.equal(progressSpy.secondCall.args[0].failed, 1);
+				assert.equal(doneSpy.callCount, 1);
+				assert.equal(doneSpy.firstCall.args[0], summary);
+				done();
+			});
+		});
+
+		it("Should finish right away without keys", function (done) {
+			crispCache.warm([], function (err, summary) {
+				assert.ifError(err);
+				assert.equal(summary.total, 0);
+				done();
+			});
+		});
+
+		it("Should return a Promise", function () {
+			return crispCache.warm(['a']).then(function (summary) {
+				assert.equal(summary.succeeded, 1);
+			});
+		});
+	});
+
+	describe("Max Concurrent Fetches", function () {
+
+		var crispCache,
+			fetches;
+
+		beforeEach(function () {
+			// Holds on to the fetcher callbacks, so tests decide when each fetch finishes
+			fetches = {};
+			crispCache = new CrispCache({
+				fetcher:              function (key, callback) {
+					fetches[key] = callback;
+				},
+				defaultStaleTtl:      100,
+				defaultExpiresTtl:    1000,
+				maxConcurrentFetches: 2
+			});
+		});
+
+		it("Should queue fetches over the limit", function (done) {
+			async.map(['a', 'b', 'c'], function (key, callback) {
+				crispCache.get(key, callback);
+			}, function (err, values) {
+				assert.ifError(err);
+				assert.deepEqual(values, ['value_a', 'value_b', 'value_c']);
+				done();
+			});
+			assert.deepEqual(Object.keys(fetches), ['a', 'b']);
+			fetches['a'](null, 'value_a');
+			assert.deepEqual(Object.keys(fetches), ['a', 'b', 'c']);
+			fetches['b'](null, 'value_b');
+			fetches['c'](null, 'value_c');
+		});
+
+		it("Should fetch misses before background refreshes", function (done) {
+			var clock = sinon.useFakeTimers();
+			crispCache.set('stale', 'old value', function (err) {
+				assert.ifError(err);
+				clock.tick(200);
+
+				crispCache.get('a', noop);
+				crispCache.get('b', noop);
+				crispCache.get('stale', function (err, value) {
+					// Returns the stale value right away, the refresh is queued
+					assert.ifError(err);
+					assert.equal(value, 'old value');
+					process.nextTick(function () {
+						crispCache.get('c', noop);
+						fetches['a'](null, 'value_a');
+						assert.deepEqual(Object.keys(fetches), ['a', 'b', 'c']);
+						fetches['b'](null, 'value_b');
+						assert.deepEqual(Object.keys(fetches), ['a', 'b', 'c', 'stale']);
+						clock.restore();
+						done();
+					});
+				});
+			});
+
+			function noop() {
+			}
+		});
+
+		it("Should promote a background refresh something waits on", function (done) {
+			crispCache.get('a', function () {
+			});
+			crispCache.get('b', function () {
+			});
+			crispCache._fetch('refresh', {});
+			crispCache.get('c', function () {
+			});
+			crispCache.get('refresh', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'value_refresh');
+				done();
+			});
+			fetches['a'](null, 'value_a');
+			assert.deepEqual(Object.keys(fetches), ['a', 'b', 'c']);
+			fetches['b'](null, 'value_b');
+			assert.deepEqual(Object.keys(fetches), ['a', 'b', 'c', 'refresh']);
+			fetches['refresh'](null, 'value_refresh');
+		});
+
+		it("Should free a slot when a fetch times out", function () {
+			var clock = sinon.useFakeTimers();
+			try {
+				crispCache.fetchTimeout = 500;
+				['a', 'b', 'c'].forEach(function (key) {
+					crispCache.get(key, function () {
+					});
+				});
+				assert.deepEqual(Object.keys(fetches), ['a', 'b']);
+				clock.tick(500);
+				assert.deepEqual(Object.keys(fetches), ['a', 'b', 'c']);
+				// Calling back late doesn't free another slot
+				fetches['a'](null, 'value_a');
+				assert.equal(crispCache.getUsage().fetchQueue.active, 1);
+			}
+			finally {
+				clock.restore();
+			}
+		});
+
+		it("Should limit batch fetches", function (done) {
+			var batches = [];
+			crispCache = new CrispCache({
+				fetcher:              function (key, callback) {
+					fetches[key] = callback;
+				},
+				batchFetcher:         function (keys, callback) {
+					batches.push({keys: keys, callback: callback});
+				},
+				defaultExpiresTtl:    1000,
+				maxConcurrentFetches: 1
+			});
+			crispCache.getMany(['a', 'b'], function (err) {
+				assert.ifError(err);
+			});
+			crispCache.getMany(['c'], function (err, values) {
+				assert.ifError(err);
+				assert.deepEqual(values, {c: 'value_c'});
+				done();
+			});
+			assert.equal(batches.length, 1);
+			batches[0].callback(null, {a: 'value_a', b: 'value_b'});
+			assert.equal(batches.length, 2);
+			assert.deepEqual(batches[1].keys, ['c']);
+			batches[1].callback(null, {c: 'value_c'});
+		});
+
+		it("Should show the queue in usage", function () {
+			['a', 'b', 'c'].forEach(function (key) {
+				crispCache.get(key, function () {
+				});
+			});
+			crispCache._fetch('refresh', {});
+			assert.deepEqual(crispCache.getUsage().fetchQueue, {
+				maxConcurrent: 2,
+				active:        2,
+				queued:        2,
+				foreground:    1,
+				background:    1
+			});
+		});
+
+		it("Should not show the queue without a limit", function () {
+			crispCache = new CrispCache({
+				fetcher: function (key, callback) {
+					callback(null, key);
+				}
+			});
+			assert.equal(crispCache.getUsage().fetchQueue, undefined);
+		});
+	});
+
+	describe("Abort", function () {
+
+		var crispCache,
+			fetches;
+
+		before(function () {
+			if (typeof AbortController !== 'function') {
+				// Only global from Node 15
+				this.skip();
+			}
+		});
+
+		beforeEach(function () {
+			// Holds on to the fetcher callbacks and signals, so tests decide when each fetch finishes
+			fetches = {};
+			crispCache = new CrispCache({
+				fetcher:           function (key, callback, options) {
+					fetches[key] = {callback: callback, signal: options.signal};
+				},
+				defaultStaleTtl:   100,
+				defaultExpiresTtl: 1000
+			});
+		});
+
+		it("Should pass the fetcher a signal", function (done) {
+			crispCache.get('a', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'value_a');
+				assert.ok(!fetches['a'].signal.aborted);
+				done();
+			});
+			assert.ok(fetches['a'].signal instanceof AbortSignal);
+			fetches['a'].callback(null, 'value_a');
+		});
+
+		it("Should not get with an aborted signal", function (done) {
+			var controller = new AbortController();
+			controller.abort();
+			crispCache.get('a', {signal: controller.signal}, function (err) {
+				assert.equal(err.name, 'AbortError');
+				assert.equal(err.code, 'ABORT_ERR');
+				assert.equal(fetches['a'], undefined);
+				done();
+			});
+		});
+
+		it("Should not fetch when aborted during the store lookup", function (done) {
+			var store = new CrispCache.MemoryStore(),
+				storeGet = store.get;
+			// Calls back later, like a remote store
+			store.get = function (key, callback) {
+				setImmediate(storeGet.bind(this, key, callback));
+			};
+			crispCache = new CrispCache({
+				fetcher: function (key, callback, options) {
+					fetches[key] = {callback: callback, signal: options.signal};
+				},
+				store:   store
+			});
+			var controller = new AbortController();
+			crispCache.get('a', {signal: controller.signal}, function (err) {
+				assert.equal(err.name, 'AbortError');
+				assert.equal(fetches['a'], undefined);
+				assert.equal(crispCache.locks['a'], undefined);
+				done();
+			});
+			controller.abort();
+		});
+
+		it("Should only stop the caller that aborted", function (done) {
+			var controller = new AbortController(),
+				abortedSpy = sinon.spy();
+			crispCache.get('a', {signal: controller.signal}, abortedSpy);
+			crispCache.get('a', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'value_a');
+				assert.equal(abortedSpy.callCount, 1);
+				done();
+			});
+			controller.abort();
+			assert.equal(abortedSpy.firstCall.args[0].name, 'AbortError');
+			assert.equal(crispCache.locks['a'].length, 1);
+			assert.ok(!fetches['a'].signal.aborted);
+			fetches['a'].callback(null, 'value_a');
+		});
+
+		it("Should abort the fetch once every caller aborted", function () {
+			var controllerA = new AbortController(),
+				controllerB = new AbortController(),
+				callbackSpy = sinon.spy();
+			crispCache.get('a', {signal: controllerA.signal}, callbackSpy);
+			crispCache.get('a', {signal: controllerB.signal}, callbackSpy);
+			controllerA.abort();
+			assert.ok(!fetches['a'].signal.aborted);
+			controllerB.abort();
+			assert.ok(fetches['a'].signal.aborted);
+			assert.equal(crispCache.locks['a'], undefined);
+			assert.equal(callbackSpy.callCount, 2);
+
+			// The aborted fetch's result is ignored, the next get fetches again
+			var abortedFetch = fetches['a'];
+			abortedFetch.callback(null, 'late value');
+			assert.equal(crispCache.cache['a'], undefined);
+			crispCache.get('a', callbackSpy);
+			assert.notEqual(fetches['a'], abortedFetch);
+		});
+
+		it("Should not abort background refreshes", function () {
+			var controller = new AbortController(),
+				callbackSpy = sinon.spy();
+			crispCache._fetch('a', {});
+			crispCache.get('a', {signal: controller.signal}, callbackSpy);
+			controller.abort();
+			assert.equal(callbackSpy.firstCall.args[0].name, 'AbortError');
+			assert.ok(!fetches['a'].signal.aborted);
+			fetches['a'].callback(null, 'value_a');
+			assert.equal(crispCache.cache['a'].getValue(), 'value_a');
+		});
+
+		it("Should return stale values without waiting", function (done) {
+			var clock = sinon.useFakeTimers(),
+				controller = new AbortController();
+			crispCache.set('a', 'old value', function (err) {
+				assert.ifError(err);
+				clock.tick(200);
+				crispCache.get('a', {signal: controller.signal}, function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, 'old value');
+					process.nextTick(function () {
+						controller.abort();
+						assert.ok(!fetches['a'].signal.aborted);
+						clock.restore();
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should do nothing when aborted after the value arrived", function () {
+			var controller = new AbortController(),
+				callbackSpy = sinon.spy();
+			crispCache.get('a', {signal: controller.signal}, callbackSpy);
+			fetches['a'].callback(null, 'value_a');
+			controller.abort();
+			assert.equal(callbackSpy.callCount, 1);
+			assert.ok(callbackSpy.calledWith(null, 'value_a'));
+		});
+
+		it("Should stop the fetch timeout", function () {
+			var clock = sinon.useFakeTimers(),
+				controller = new AbortController(),
+				timeoutSpy = sinon.spy();
+			try {
+				crispCache.fetchTimeout = 500;
+				crispCache.on('fetchTimeout', timeoutSpy);
+				crispCache.get('a', {signal: controller.signal}, function () {
+				});
+				controller.abort();
+				clock.tick(500);
+				assert.equal(timeoutSpy.callCount, 0);
+			}
+			finally {
+				clock.restore();
+			}
+		});
+
+		it("Should not start a queued fetch every caller aborted", function () {
+			var controller = new AbortController();
+			crispCache = new CrispCache({
+				fetcher:              function (key, callback, options) {
+					fetches[key] = {callback: callback, signal: options.signal};
+				},
+				defaultExpiresTtl:    1000,
+				maxConcurrentFetches: 1
+			});
+			crispCache.get('a', function () {
+			});
+			crispCache.get('b', {signal: controller.signal}, function () {
+			});
+			controller.abort();
+			fetches['a'].callback(null, 'value_a');
+			assert.equal(fetches['b'], undefined);
+			assert.equal(crispCache.getUsage().fetchQueue.active, 0);
+		});
+
+		it("Should free the slot of an aborted fetch", function () {
+			var controller = new AbortController();
+			crispCache = new CrispCache({
+				fetcher:              function (key, callback, options) {
+					fetches[key] = {callback: callback, signal: options.signal};
+				},
+				defaultExpiresTtl:    1000,
+				maxConcurrentFetches: 1
+			});
+			crispCache.get('a', {signal: controller.signal}, function () {
+			});
+			crispCache.get('b', function () {
+			});
+			controller.abort();
+			assert.ok(fetches['b']);
+		});
+
+		it("Should reject the Promise", function () {
+			var controller = new AbortController(),
+				promise = crispCache.get('a', {signal: controller.signal});
+			controller.abort();
+			return promise.then(function () {
+				throw new Error('Should have been aborted');
+			}, function (err) {
+				assert.equal(err.name, 'AbortError');
+			});
+		});
+	});
+
+	describe("Update", function () {
+
+		var crispCache,
+			fetches;
+
+		beforeEach(function () {
+			fetches = {};
+			crispCache = new CrispCache({
+				fetcher:           function (key, callback) {
+					fetches[key] = callback;
+				},
+				defaultExpiresTtl: 1000
+			});
+		});
+
+		function increment(value) {
+			return (value || 0) + 1;
+		}
+
+		it("Should update a missing key", function (done) {
+			crispCache.update('counter', increment, function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 1);
+				assert.equal(crispCache.cache['counter'].getValue(), 1);
+				done();
+			});
+		});
+
+		it("Should not lose concurrent updates", function (done) {
+			var slowIncrement = function (value) {
+				return new Promise(function (resolve) {
+					setImmediate(function () {
+						resolve((value || 0) + 1);
+					});
+				});
+			};
+			async.times(10, function (n, callback) {
+				crispCache.update('counter', slowIncrement, callback);
+			}, function (err, values) {
+				assert.ifError(err);
+				assert.deepEqual(values.sort(function (a, b) {
+					return a - b;
+				}), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+				assert.equal(crispCache.cache['counter'].getValue(), 10);
+				done();
+			});
+		});
+
+		it("Should not run updates at once when a set releases the lock", function (done) {
+			var running = 0,
+				maxRunning = 0;
+			var slowIncrement = function (value) {
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+				return new Promise(function (resolve) {
+					setImmediate(function () {
+						running--;
+						resolve((value || 0) + 1);
+					});
+				});
+			};
+			async.parallel([
+				crispCache.update.bind(crispCache, 'counter', slowIncrement),
+				crispCache.update.bind(crispCache, 'counter', slowIncrement),
+				crispCache.update.bind(crispCache, 'counter', slowIncrement),
+				crispCache.set.bind(crispCache, 'counter', 100)
+			], function (err) {
+				assert.ifError(err);
+				assert.equal(maxRunning, 1);
+				assert.equal(crispCache.cache['counter'].getValue(), 3);
+				assert.deepEqual(crispCache._updates, {});
+				assert.equal(crispCache.locks['counter'], undefined);
+				done();
+			});
+		});
+
+		it("Should release the lock when the store fails", function (done) {
+			crispCache.store.get = function (key, callback) {
+				callback(new Error('store error'));
+			};
+			crispCache.update('counter', increment, function (err) {
+				assert.equal(err.message, 'store error');
+				assert.deepEqual(crispCache._updates, {});
+				assert.equal(crispCache.locks['counter'], undefined);
+				done();
+			});
+		});
+
+		it("Should keep the TTLs and tags of the entry", function (done) {
+			crispCache.set('counter', 5, {staleTtl: 50, expiresTtl: 500, tags: ['counters']}, function (err) {
+				assert.ifError(err);
+				crispCache.update('counter', increment, function (err) {
+					assert.ifError(err);
+					var cacheEntry = crispCache.cache['counter'];
+					assert.equal(cacheEntry.getValue(), 6);
+					assert.equal(cacheEntry.staleTtl, 50);
+					assert.equal(cacheEntry.expiresTtl, 500);
+					assert.deepEqual(cacheEntry.tags, ['counters']);
+					done();
+				});
+			});
+		});
+
+		it("Should use the given options", function (done) {
+			crispCache.set('counter', 5, function (err) {
+				assert.ifError(err);
+				crispCache.update('counter', increment, {expiresTtl: 200}, function (err) {
+					assert.ifError(err);
+					assert.equal(crispCache.cache['counter'].expiresTtl, 200);
+					done();
+				});
+			});
+		});
+
+		it("Should give gets that miss during an update its value", function (done) {
+			var resolveMutator;
+			crispCache.update('counter', function () {
+				return new Promise(function (resolve) {
+					resolveMutator = resolve;
+				});
+			}, function (err) {
+				assert.ifError(err);
+			});
+			crispCache.get('counter', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 42);
+				assert.equal(fetches['counter'], undefined);
+				done();
+			});
+			setImmediate(function () {
+				resolveMutator(42);
+			});
+		});
+
+		it("Should wait for a fetch of the key", function (done) {
+			crispCache.get('counter', function () {
+			});
+			crispCache.update('counter', increment, function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 6);
+				done();
+			});
+			fetches['counter'](null, 5);
+		});
+
+		it("Should release the lock when the mutator fails", function (done) {
+			crispCache.set('counter', 5, function (err) {
+				assert.ifError(err);
+				crispCache.update('counter', function () {
+					throw new Error('Mutator failed');
+				}, function (err) {
+					assert.equal(err.message, 'Mutator failed');
+					assert.equal(crispCache.cache['counter'].getValue(), 5);
+					assert.equal(crispCache.locks['counter'], undefined);
+					crispCache.update('counter', increment, function (err, value) {
+						assert.ifError(err);
+						assert.equal(value, 6);
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should fetch for gets that miss during a failed update", function (done) {
+			crispCache.update('counter', function () {
+				return Promise.reject(new Error('Mutator rejected'));
+			}, function (err) {
+				assert.equal(err.message, 'Mutator rejected');
+				fetches['counter'](null, 10);
+			});
+			crispCache.get('counter', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 10);
+				assert.equal(crispCache.locks['counter'], undefined);
+				done();
+			});
+		});
+
+		it("Should pass rejections on", function () {
+			return crispCache.update('counter', function () {
+				return Promise.reject(new Error('Mutator rejected'));
+			}).then(function () {
+				throw new Error('Should have rejected');
+			}, function (err) {
+				assert.equal(err.message, 'Mutator rejected');
+			});
+		});
+
+		it("Should return a Promise", function () {
+			return crispCache.update('counter', increment).then(function (value) {
+				assert.equal(value, 1);
+			});
+		});
+	});
+
+	describe("Compare and Set", function () {
+
+		var crispCache;
+
+		beforeEach(function () {
+			crispCache = new CrispCache({
+				fetcher:           function (key, callback) {
+					callback(null, 'value_' + key);
+				},
+				defaultExpiresTtl: 1000
+			});
+		});
+
+		it("Should version every write", function (done) {
+			async.series([
+				crispCache.getVersion.bind(crispCache, 'a'),
+				crispCache.set.bind(crispCache, 'a', 'first'),
+				crispCache.getVersion.bind(crispCache, 'a'),
+				crispCache.set.bind(crispCache, 'a', 'second'),
+				crispCache.getVersion.bind(crispCache, 'a')
+			], function (err, results) {
+				assert.ifError(err);
+				assert.deepEqual(results[0], {value: undefined, version: 0});
+				assert.deepEqual(results[2], {value: 'first', version: 1});
+				assert.deepEqual(results[4], {value: 'second', version: 2});
+				done();
+			});
+		});
+
+		it("Should version fetched values", function (done) {
+			crispCache.get('a', {forceFetch: true}, function (err) {
+				assert.ifError(err);
+				crispCache.get('a', {forceFetch: true}, function (err) {
+					assert.ifError(err);
+					assert.equal(crispCache.cache['a'].version, 2);
+					done();
+				});
+			});
+		});
+
+		it("Should version fetched values without reading the store again", function (done) {
+			var storeGet = sinon.spy(crispCache.store, 'get');
+			crispCache.get('a', function (err) {
+				assert.ifError(err);
+				crispCache.get('a', {forceFetch: true}, function (err) {
+					assert.ifError(err);
+					assert.equal(crispCache.cache['a'].version, 2);
+					assert.equal(storeGet.callCount, 2);
+					done();
+				});
+			});
+		});
+
+		it("Should set at the expected version", function (done) {
+			crispCache.set('a', 'first', function (err) {
+				assert.ifError(err);
+				crispCache.cas('a', 1, 'second', function (err, success) {
+					assert.ifError(err);
+					assert.strictEqual(success, true);
+					assert.equal(crispCache.cache['a'].getValue(), 'second');
+					assert.equal(crispCache.cache['a'].version, 2);
+					done();
+				});
+			});
+		});
+
+		it("Should not set at another version", function (done) {
+			async.series([
+				crispCache.set.bind(crispCache, 'a', 'first'),
+				crispCache.set.bind(crispCache, 'a', 'second'),
+				crispCache.cas.bind(crispCache, 'a', 1, 'conflict')
+			], function (err, results) {
+				assert.ifError(err);
+				assert.strictEqual(results[2], false);
+				assert.equal(crispCache.cache['a'].getValue(), 'second');
+				assert.equal(crispCache.locks['a'], undefined);
+				done();
+			});
+		});
+
+		it("Should fetch for gets that miss when the version doesn't match", function (done) {
+			var storeGet = crispCache.store.get;
+			// Calls back later, so the get misses while the cas holds the lock
+			crispCache.store.get = function (key, callback) {
+				setImmediate(storeGet.bind(this, key, callback));
+			};
+			crispCache.get('a', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'value_a');
+				done();
+			});
+			crispCache.cas('a', 1, 'conflict', function (err, success) {
+				assert.ifError(err);
+				assert.strictEqual(success, false);
+			});
+		});
+
+		it("Should set a missing key at version 0", function (done) {
+			crispCache.cas('a', 0, 'first', function (err, success) {
+				assert.ifError(err);
+				assert.ok(success);
+				crispCache.cas('a', 0, 'second', function (err, success) {
+					assert.ifError(err);
+					assert.ok(!success);
+					assert.equal(crispCache.cache['a'].getValue(), 'first');
+					done();
+				});
+			});
+		});
+
+		it("Should let only one concurrent writer win", function (done) {
+			crispCache.set('a', 'first', function (err) {
+				assert.ifError(err);
+				async.map(['b', 'c', 'd'], function (value, callback) {
+					crispCache.cas('a', 1, value, callback);
+				}, function (err, results) {
+					assert.ifError(err);
+					assert.deepEqual(results, [true, false, false]);
+					done();
+				});
+			});
+		});
+
+		it("Should keep versions in snapshots", function () {
+			var cacheEntry = new CacheEntry({value: 'a', version: 3});
+			assert.equal(CacheEntry.fromJSON(JSON.parse(JSON.stringify(cacheEntry))).version, 3);
+			assert.equal(CacheEntry.fromJSON({value: 'a'}).version, 1);
+		});
+
+		it("Should return Promises", function () {
+			return crispCache.cas('a', 0, 'first')
+				.then(function (success) {
+					assert.ok(success);
+					return crispCache.getVersion('a');
+				})
+				.then(function (current) {
+					assert.deepEqual(current, {value: 'first', version: 1});
+				});
+		});
+	});
+
+	describe("Sliding Expiration", function () {
+
+		var clock,
+			crispCache,
+			fetcherSpy;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			clock.tick(1000);
+			fetcherSpy = sinon.spy(function (key, callback) {
+				callback(null, 'value_' + key);
+			});
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500,
+				sliding:           true
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		it("Should keep an entry while it's read", function (done) {
+			crispCache.set('a', 'value_a', {staleTtl: 10000}, function (err) {
+				assert.ifError(err);
+				clock.tick(250);
+				crispCache.get('a', {skipFetch: true}, function (err) {
+					assert.ifError(err);
+					clock.tick(250);
+					crispCache.get('a', {skipFetch: true}, function (err) {
+						assert.ifError(err);
+						clock.tick(250);
+						crispCache.get('a', {skipFetch: true}, function (err, value) {
+							assert.ifError(err);
+							assert.equal(value, 'value_a');
+							assert.ok(crispCache.cache['a'].isValid());
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it("Should still go stale and refresh while it's read", function () {
+			var values = [];
+			for (var i = 0; i < 8; i++) {
+				clock.tick(100);
+				crispCache.get('a', function (err, value) {
+					assert.ifError(err);
+					values.push(value);
+				});
+			}
+			assert.equal(values.length, 8);
+			// Fetched at the first read, stale after 300ms and refreshed by the read after that
+			assert.equal(fetcherSpy.callCount, 2);
+			assert.equal(crispCache.getUsage().get.stale, 1);
+		});
+
+		it("Should expire an idle entry", function (done) {
+			crispCache.get('a', function (err) {
+				assert.ifError(err);
+				clock.tick(250);
+				crispCache.get('a', function (err) {
+					assert.ifError(err);
+					clock.tick(501);
+					assert.ok(crispCache.cache['a'].isExpired());
+					done();
+				});
+			});
+		});
+
+		it("Should be set per entry", function (done) {
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500
+			});
+			async.series([
+				crispCache.set.bind(crispCache, 'a', 'value_a', {sliding: true}),
+				crispCache.set.bind(crispCache, 'b', 'value_b')
+			], function (err) {
+				assert.ifError(err);
+				clock.tick(250);
+				async.series([
+					crispCache.get.bind(crispCache, 'a', {skipFetch: true}),
+					crispCache.get.bind(crispCache, 'b', {skipFetch: true})
+				], function (err) {
+					assert.ifError(err);
+					clock.tick(251);
+					assert.ok(!crispCache.cache['a'].isExpired());
+					assert.ok(crispCache.cache['b'].isExpired());
+					done();
+				});
+			});
+		});
+
+		it("Should let the fetcher choose", function (done) {
+			crispCache = new CrispCache({
+				fetcher:           function (key, callback) {
+					callback(null, 'value_' + key, {sliding: key === 'a'});
+				},
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500,
+				sliding:           true
+			});
+			crispCache.getMany(['a', 'b'], function (err) {
+				assert.ifError(err);
+				assert.strictEqual(crispCache.cache['a'].sliding, true);
+				assert.strictEqual(crispCache.cache['b'].sliding, false);
+				done();
+			});
+		});
+
+		it("Should touch a key", function (done) {
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500
+			});
+			crispCache.set('a', 'value_a', function (err) {
+				assert.ifError(err);
+				clock.tick(400);
+				crispCache.touch('a', function (err, touched) {
+					assert.ifError(err);
+					assert.strictEqual(touched, true);
+					// Stale since it was written 400ms ago, but it now expires 500ms after the touch
+					assert.ok(crispCache.cache['a'].isStale());
+					clock.tick(400);
+					assert.ok(crispCache.cache['a'].isStale());
+					clock.tick(101);
+					assert.ok(crispCache.cache['a'].isExpired());
+					done();
+				});
+			});
+		});
+
+		it("Should not touch missing or expired keys", function (done) {
+			crispCache.set('a', 'value_a', function (err) {
+				assert.ifError(err);
+				clock.tick(501);
+				async.series([
+					crispCache.touch.bind(crispCache, 'a'),
+					crispCache.touch.bind(crispCache, 'b')
+				], function (err, results) {
+					assert.ifError(err);
+					assert.deepEqual(results, [false, false]);
+					assert.ok(crispCache.cache['a'].isExpired());
+					done();
+				});
+			});
+		});
+
+		it("Should keep touches in snapshots", function () {
+			var cacheEntry = new CacheEntry({value: 'a', staleTtl: 300, expiresTtl: 500, sliding: true});
+			clock.tick(250);
+			cacheEntry.touch();
+			var restored = CacheEntry.fromJSON(JSON.parse(JSON.stringify(cacheEntry)));
+			assert.strictEqual(restored.sliding, true);
+			assert.equal(restored.touched, cacheEntry.touched);
+			assert.equal(CacheEntry.fromJSON({value: 'a'}).sliding, false);
+		});
+
+		it("Should return Promises", function () {
+			return crispCache.set('a', 'value_a')
+				.then(function () {
+					return crispCache.touch('a');
+				})
+				.then(function (touched) {
+					assert.ok(touched);
+				});
+		});
+	});
+
+	describe("Promises", function () {
+
+		var crispCacheBasic,
+			fetcherSpy;
+
+		beforeEach(function () {
+			fetcherSpy = sinon.spy(fetcher);
+			crispCacheBasic = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500
+			})
+		});
+
+		it("Should return a promise from get", function () {
+			return crispCacheBasic.get('hello')
+				.then(function (value) {
+					assert.equal(value, 'world');
+					return crispCacheBasic.get('hello', {skipFetch: true});
+				})
+				.then(function (value) {
+					assert.equal(value, 'world');
+					assert.equal(fetcherSpy.callCount, 1);
+				});
+		});
+
+		it("Should return a promise from set and del", function () {
+			return crispCacheBasic.set('new', 'A new value')
+				.then(function (success) {
+					assert.equal(success, true);
+					return crispCacheBasic.get('new', {skipFetch: true});
+				})
+				.then(function (value) {
+					assert.equal(value, 'A new value');
+					return crispCacheBasic.del('new');
+				})
+				.then(function (success) {
+					assert.equal(success, true);
+					assert.equal(crispCacheBasic.cache['new'], undefined);
+				});
+		});
+
+		it("Should return a promise from clear", function () {
+			return crispCacheBasic.get('hello')
+				.then(function () {
+					return crispCacheBasic.clear();
+				})
+				.then(function (success) {
+					assert.equal(success, true);
+					assert.equal(Object.keys(crispCacheBasic.cache).length, 0);
+				});
+		});
+
+		it("Should reject with fetcher errors", function () {
+			var cache = new CrispCache({
+				fetcher: function (key, cb) {
+					cb(new Error('fetcher error'));
+				}
+			});
+
+			return cache.get('key')
+				.then(function () {
+					throw new Error('Should have rejected');
+				}, function (err) {
+					assert.strictEqual(err.message, 'fetcher error');
+				});
+		});
+
+		it("Should accept a fetcher that returns a promise", function () {
+			var promiseFetcher = sinon.spy(function (key) {
+				return Promise.resolve(data[key]);
+			});
+			var cache = new CrispCache({
+				fetcher:           promiseFetcher,
+				defaultExpiresTtl: 500
+			});
+
+			return Promise.all([cache.get('foo'), cache.get('foo')])
+				.then(function (values) {
+					assert.deepEqual(values, ['bar', 'bar']);
+					assert.equal(promiseFetcher.callCount, 1);
+					assert.equal(Object.keys(cache.locks).length, 0);
+				});
+		});
+
+		it("Should propagate rejections from a promise fetcher", function (done) {
+			var cache = new CrispCache({
+				fetcher: function () {
+					return Promise.reject(new Error('fetcher error'));
+				}
+			});
+
+			cache.get('key', function (err, value) {
+				assert.strictEqual(err.message, 'fetcher error');
+				assert.equal(value, undefined);
+				assert.equal(Object.keys(cache.locks).length, 0);
+				done();
+			});
+		});
+
+		it("Should only resolve once if the fetcher calls back and returns a promise", function (done) {
+			var cache = new CrispCache({
+				fetcher: function (key, cb) {
+					cb(null, 'from callback', {expiresTtl: 1000});
+					return Promise.resolve('from promise');
+				}
+			});
+
+			cache.get('key', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'from callback');
+				setTimeout(function () {
+					assert.equal(cache.cache['key'].getValue(), 'from callback');
+					assert.equal(cache.cache['key'].expiresTtl, 1000);
+					done();
+				}, 1);
+			});
+		});
+	});
+
+	describe("Store", function () {
+
+		/**
+		 * An asynchronous store that serializes its entries, like a remote store would.
+		 */
+		function JsonStore() {
+			this.data = {};
+		}
+
+		JsonStore.prototype.get = function (key, callback) {
+			setImmediate(function () {
+				var json = this.data[key];
+				callback(null, json === undefined ? undefined : CacheEntry.fromJSON(JSON.parse(json)));
+			}.bind(this));
+		};
+		JsonStore.prototype.set = function (key, cacheEntry, callback) {
+			this.data[key] = JSON.stringify(cacheEntry);
+			setImmediate(callback);
+		};
+		JsonStore.prototype.delete = function (key, callback) {
+			delete this.data[key];
+			setImmediate(callback);
+		};
+		JsonStore.prototype.keys = function (callback) {
+			setImmediate(callback, null, Object.keys(this.data));
+		};
+		JsonStore.prototype.clear = function (callback) {
+			this.data = {};
+			setImmediate(callback);
+		};
+
+		var crispCache,
+			fetcherSpy,
+			store;
+
+		beforeEach(function () {
+			fetcherSpy = sinon.spy(fetcher);
+			store = new JsonStore();
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500,
+				store:             store
+			});
+		});
+
+		it("Should default to a memory store", function () {
+			var cache = new CrispCache({fetcher: fetcher});
+			assert.ok(cache.store instanceof CrispCache.MemoryStore);
+			assert.strictEqual(cache.cache, cache.store.cache);
+		});
+
+		it("Should fetch into and read from the store", function () {
+			return crispCache.get('hello')
+				.then(function (value) {
+					assert.equal(value, 'world');
+					assert.ok(store.data['hello']);
+					return crispCache.get('hello');
+				})
+				.then(function (value) {
+					assert.equal(value, 'world');
+					assert.equal(fetcherSpy.callCount, 1);
+				});
+		});
+
+		it("Should only fetch once for 2 cache misses (locking)", function () {
+			return Promise.all([crispCache.get('hello'), crispCache.get('hello')])
+				.then(function (values) {
+					assert.deepEqual(values, ['world', 'world']);
+					assert.equal(fetcherSpy.callCount, 1);
+					assert.equal(Object.keys(crispCache.locks).length, 0);
+				});
+		});
+
+		it("Should keep entry ages through the store", function (done) {
+			var entry = new CacheEntry({value: 'old', staleTtl: 100, expiresTtl: 1000});
+			entry.created = Date.now() - 200;
+			store.data['old'] = JSON.stringify(entry);
+			crispCache.get('old', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'old');
+				assert.equal(crispCache.getUsage().get.stale, 1);
+				done();
+			});
+		});
+
+		it("Should delete and clear through the store", function () {
+			return crispCache.set('a', 1)
+				.then(function () {
+					return crispCache.set('b', 2);
+				})
+				.then(function () {
+					return crispCache.del('a');
+				})
+				.then(function () {
+					assert.deepEqual(Object.keys(store.data), ['b']);
+					return crispCache.clear();
+				})
+				.then(function () {
+					assert.deepEqual(Object.keys(store.data), []);
+				});
+		});
+
+		it("Should report usage from an asynchronous store", function (done) {
+			crispCache.set('a', 1, function () {
+				crispCache.set('b', 2, function () {
+					crispCache.getUsage({keysLimit: 10}, function (err, usage) {
+						assert.ifError(err);
+						assert.equal(usage.count, 2);
+						assert.deepEqual(usage.keys, [{key: 'a'}, {key: 'b'}]);
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should share a second tier between caches", function () {
+			var shared = new CrispCache.MemoryStore(),
+				cacheA = new CrispCache({
+					fetcher:           fetcherSpy,
+					defaultExpiresTtl: 500,
+					store:             shared,
+					l1MaxSize:         10
+				}),
+				cacheB = new CrispCache({
+					fetcher:           fetcherSpy,
+					defaultExpiresTtl: 500,
+					store:             shared,
+					l1MaxSize:         10
+				});
+
+			assert.ok(cacheA.store instanceof CrispCache.TieredStore);
+			return cacheA.get('hello')
+				.then(function () {
+					return cacheB.get('hello');
+				})
+				.then(function (value) {
+					assert.equal(value, 'world');
+					assert.equal(fetcherSpy.callCount, 1);
+					assert.ok(cacheB.store.l1.cache['hello']);
+				});
+		});
+
+		it("Should propagate store errors", function (done) {
+			store.get = function (key, callback) {
+				callback(new Error('store error'));
+			};
+			crispCache.get('hello', function (err) {
+				assert.strictEqual(err.message, 'store error');
+				assert.equal(fetcherSpy.callCount, 0);
+				done();
+			});
+		});
+	});
+
+	describe("Batch", function () {
+
+		var batchFetcherSpy,
+			clock,
+			crispCache,
+			fetcherSpy;
+
+		function batchFetcher(keys, callback) {
+			setTimeout(function () {
+				var values = {};
+				keys.forEach(function (key) {
+					values[key] = data[key];
+				});
+				callback(null, values, {foo: {staleTtl: 50}});
+			}, 1);
+		}
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			fetcherSpy = sinon.spy(fetcher);
+			batchFetcherSpy = sinon.spy(batchFetcher);
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				batchFetcher:      batchFetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		it("Should fetch all misses in one batch", function (done) {
+			crispCache.set('hello', 'cached', function () {
+				crispCache.getMany(['hello', 'foo', 'arr'], function (err, values) {
+					assert.ifError(err);
+					assert.deepEqual(values, {hello: 'cached', foo: 'bar', arr: [1, 2, 3]});
+					assert.equal(fetcherSpy.callCount, 0);
+					assert.equal(batchFetcherSpy.callCount, 1);
+					assert.deepEqual(batchFetcherSpy.firstCall.args[0], ['foo', 'arr']);
+					assert.equal(crispCache.cache['foo'].staleTtl, 50);
+					assert.equal(crispCache.cache['arr'].staleTtl, 300);
+					assert.equal(Object.keys(crispCache.locks).length, 0);
+					done();
+				});
+				process.nextTick(function () {
+					clock.tick(10);
+				});
+			});
+		});
+
+		it("Should not call the batch fetcher when everything is cached", function (done) {
+			crispCache.setMany({hello: 'a', foo: 'b'}, function (err, success) {
+				assert.ifError(err);
+				assert.equal(success, true);
+				crispCache.getMany(['hello', 'foo'], function (err, values) {
+					assert.deepEqual(values, {hello: 'a', foo: 'b'});
+					process.nextTick(function () {
+						assert.equal(batchFetcherSpy.callCount, 0);
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should refresh stale keys in one batch", function (done) {
+			crispCache.setMany({hello: 'a', foo: 'b'}, function () {
+				clock.tick(301);
+				crispCache.getMany(['hello', 'foo'], function (err, values) {
+					assert.deepEqual(values, {hello: 'a', foo: 'b'});
+					process.nextTick(function () {
+						assert.equal(batchFetcherSpy.callCount, 1);
+						assert.deepEqual(batchFetcherSpy.firstCall.args[0], ['hello', 'foo']);
+						clock.tick(10);
+						assert.equal(crispCache.cache['hello'].getValue(), 'world');
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should coalesce batch keys with pending fetches", function (done) {
+			async.parallel([
+				function (callback) {
+					crispCache.get('hello', callback);
+				},
+				function (callback) {
+					crispCache.getMany(['hello', 'foo'], callback);
+				}
+			], function (err, results) {
+				assert.ifError(err);
+				assert.equal(results[0], 'world');
+				assert.deepEqual(results[1], {hello: 'world', foo: 'bar'});
+				assert.equal(fetcherSpy.callCount, 1);
+				assert.deepEqual(batchFetcherSpy.firstCall.args[0], ['foo']);
+				done();
+			});
+			clock.tick(10);
+		});
+
+		it("Should use the fetcher without a batch fetcher", function (done) {
+			var cache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultExpiresTtl: 500
+			});
+			cache.getMany(['hello', 'foo'], function (err, values) {
+				assert.ifError(err);
+				assert.deepEqual(values, {hello: 'world', foo: 'bar'});
+				assert.equal(fetcherSpy.callCount, 2);
+				done();
+			});
+			clock.tick(10);
+		});
+
+		it("Should propagate batch fetcher errors", function (done) {
+			var cache = new CrispCache({
+				fetcher:      fetcherSpy,
+				batchFetcher: function (keys, callback) {
+					callback(new Error('batch error'));
+				}
+			});
+			cache.getMany(['hello', 'foo'], function (err) {
+				assert.strictEqual(err.message, 'batch error');
+				process.nextTick(function () {
+					assert.equal(Object.keys(cache.locks).length, 0);
+					done();
+				});
+			});
+		});
+
+		it("Should delete many keys", function () {
+			clock.restore();
+			return crispCache.setMany({hello: 'a', foo: 'b', arr: 'c'})
+				.then(function () {
+					return crispCache.delMany(['hello', 'foo']);
+				})
+				.then(function (success) {
+					assert.equal(success, true);
+					assert.deepEqual(Object.keys(crispCache.cache), ['arr']);
+					return crispCache.getMany([], {skipFetch: true});
+				})
+				.then(function (values) {
+					assert.deepEqual(values, {});
+				});
+		});
+	});
+
+	describe("Auto Batch", function () {
+
+		var batchFetcherSpy,
+			clock,
+			crispCache,
+			fetcherSpy;
+
+		function batchFetcher(keys, callback) {
+			setTimeout(function () {
+				var values = {},
+					options = {};
+				keys.forEach(function (key) {
+					values[key] = data[key];
+					options[key] = {expiresTtl: 1000, size: key.length};
+				});
+				callback(null, values, options);
+			}, 1);
+		}
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			fetcherSpy = sinon.spy(fetcher);
+			batchFetcherSpy = sinon.spy(batchFetcher);
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				batchFetcher:      batchFetcherSpy,
+				autoBatch:         true,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		it("Should complain if there is no batch fetcher", function () {
+			assert.throws(function () {
+				new CrispCache({
+					fetcher:   fetcher,
+					autoBatch: true
+				});
+			}, /batchFetcher/);
+		});
+
+		it("Should batch misses within a tick", function (done) {
+			async.parallel([
+				function (callback) {
+					crispCache.get('hello', callback);
+				},
+				function (callback) {
+					crispCache.get('foo', callback);
+				},
+				function (callback) {
+					crispCache.get('hello', callback);
+				}
+			], function (err, results) {
+				assert.ifError(err);
+				assert.deepEqual(results, ['world', 'bar', 'world']);
+				assert.equal(fetcherSpy.callCount, 0);
+				assert.equal(batchFetcherSpy.callCount, 1);
+				assert.deepEqual(batchFetcherSpy.firstCall.args[0], ['hello', 'foo']);
+				assert.equal(crispCache.cache['hello'].expiresTtl, 1000);
+				assert.equal(crispCache.cache['hello'].size, 5);
+				assert.equal(Object.keys(crispCache.locks).length, 0);
+				done();
+			});
+			process.nextTick(function () {
+				clock.tick(10);
+			});
+		});
+
+		it("Should batch misses within a batch window", function (done) {
+			crispCache = new CrispCache({
+				fetcher:      fetcherSpy,
+				batchFetcher: batchFetcherSpy,
+				autoBatch:    true,
+				batchWindow:  20
+			});
+			crispCache.get('hello', function (err, value) {
+				assert.equal(value, 'world');
+			});
+			clock.tick(10);
+			crispCache.get('foo', function (err, value) {
+				assert.equal(value, 'bar');
+				assert.equal(batchFetcherSpy.callCount, 1);
+				assert.deepEqual(batchFetcherSpy.firstCall.args[0], ['hello', 'foo']);
+				done();
+			});
+			clock.tick(20);
+		});
+
+		it("Should resolve every key in error", function (done) {
+			crispCache = new CrispCache({
+				fetcher:      fetcherSpy,
+				batchFetcher: function (keys, callback) {
+					callback(new Error('batch error'));
+				},
+				autoBatch:    true
+			});
+			async.parallel([
+				function (callback) {
+					crispCache.get('hello', function (err) {
+						callback(null, err);
+					});
+				},
+				function (callback) {
+					crispCache.get('foo', function (err) {
+						callback(null, err);
+					});
+				}
+			], function (err, results) {
+				assert.equal(results[0].message, 'batch error');
+				assert.equal(results[1].message, 'batch error');
+				done();
+			});
+		});
+	});
+
+	describe("Fetch Timeout", function () {
+
+		var clock,
+			crispCache,
+			hangingFetcherSpy;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			hangingFetcherSpy = sinon.spy(function (key, callback) {
+				setTimeout(function () {
+					callback(null, 'late');
+				}, 1000);
+			});
+			crispCache = new CrispCache({
+				fetcher:           hangingFetcherSpy,
+				fetchTimeout:      100,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		it("Should release the lock with a timeout error", function (done) {
+			var timeoutSpy = sinon.spy();
+			crispCache.on('fetchTimeout', timeoutSpy);
+			crispCache.get('hello', function (err, value) {
+				assert.equal(err.code, 'ETIMEDOUT');
+				assert.equal(value, undefined);
+				assert.equal(Object.keys(crispCache.locks).length, 0);
+				assert.equal(timeoutSpy.callCount, 1);
+				assert.deepEqual(timeoutSpy.firstCall.args[0], {key: 'hello', timeout: 100});
+
+				// Late results are ignored
+				clock.tick(1000);
+				assert.equal(crispCache.cache['hello'], undefined);
+				done();
+			});
+			clock.tick(101);
+		});
+
+		it("Should fall back to a stale value", function (done) {
+			crispCache.set('hello', 'stale world', function () {
+				clock.tick(301);
+				crispCache.get('hello', {forceFetch: true}, function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, 'stale world');
+					done();
+				});
+				clock.tick(101);
+			});
+		});
+
+		it("Should allow overriding the timeout per get", function (done) {
+			crispCache.get('hello', {fetchTimeout: 2000}, function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'late');
+				done();
+			});
+			clock.tick(1001);
+		});
+
+		it("Should time out keys of a batch", function (done) {
+			var cache = new CrispCache({
+				fetcher:      hangingFetcherSpy,
+				batchFetcher: function (keys, callback) {
+				},
+				fetchTimeout: 100
+			});
+			cache.getMany(['hello', 'foo'], function (err) {
+				assert.equal(err.code, 'ETIMEDOUT');
+				done();
+			});
+			process.nextTick(function () {
+				clock.tick(101);
+			});
+		});
+	});
+
+	describe("Retry", function () {
+
+		var clock,
+			failures,
+			flakyFetcherSpy;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			failures = 2;
+			flakyFetcherSpy = sinon.spy(function (key, callback) {
+				setTimeout(function () {
+					if (failures-- > 0) {
+						return callback(new Error('flaky'));
+					}
+					callback(null, data[key]);
+				}, 1);
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+			seed.resetGlobal();
+		});
+
+		it("Should not retry by default", function (done) {
+			var cache = new CrispCache({
+				fetcher: flakyFetcherSpy
+			});
+			cache.get('hello', function (err) {
+				assert.equal(err.message, 'flaky');
+				assert.equal(flakyFetcherSpy.callCount, 1);
+				done();
+			});
+			clock.tick(10);
+		});
+
+		it("Should retry with exponential backoff", function (done) {
+			var retrySpy = sinon.spy();
+			var cache = new CrispCache({
+				fetcher:          flakyFetcherSpy,
+				retryMaxAttempts: 3,
+				retryDelay:       100,
+				retryJitter:      false,
+				events:           {
+					fetchRetry: retrySpy
+				}
+			});
+			cache.get('hello', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, 'world');
+				assert.equal(flakyFetcherSpy.callCount, 3);
+				assert.equal(retrySpy.callCount, 2);
+				assert.equal(retrySpy.firstCall.args[0].key, 'hello');
+				assert.equal(retrySpy.firstCall.args[0].attempt, 1);
+				assert.equal(retrySpy.firstCall.args[0].delay, 100);
+				assert.equal(retrySpy.firstCall.args[0].error.message, 'flaky');
+				assert.equal(retrySpy.secondCall.args[0].delay, 200);
+				done();
+			});
+			clock.tick(1);
+			clock.tick(100);
+			assert.equal(flakyFetcherSpy.callCount, 2);
+			clock.tick(1);
+			clock.tick(199);
+			assert.equal(flakyFetcherSpy.callCount, 2);
+			clock.tick(1);
+			clock.tick(1);
+		});
+
+		it("Should cap the delay and add jitter", function () {
+			seed('foo', {global: true});
+			var cache = new CrispCache({
+				fetcher:       flakyFetcherSpy,
+				retryDelay:    100,
+				retryMaxDelay: 300
+			});
+			var delays = [1, 2, 3, 4, 5].map(function (attempts) {
+				return cache._getRetryDelay(attempts);
+			});
+			delays.forEach(function (delay) {
+				assert.ok(delay >= 0 && delay <= 300);
+			});
+			cache.retryJitter = false;
+			assert.equal(cache._getRetryDelay(5), 300);
+		});
+
+		it("Should give up after max attempts", function (done) {
+			failures = 5;
+			var cache = new CrispCache({
+				fetcher:          flakyFetcherSpy,
+				retryMaxAttempts: 2
+			});
+			cache.get('hello', function (err) {
+				assert.equal(err.message, 'flaky');
+				assert.equal(flakyFetcherSpy.callCount, 2);
+				done();
+			});
+			clock.tick(1000);
+		});
+
+		it("Should only retry errors that pass the filter", function (done) {
+			var cache = new CrispCache({
+				fetcher:          flakyFetcherSpy,
+				retryMaxAttempts: 3,
+				retryFilter:      function (err) {
+					return err.message !== 'flaky';
+				}
+			});
+			cache.get('hello', function (err) {
+				assert.equal(err.message, 'flaky');
+				assert.equal(flakyFetcherSpy.callCount, 1);
+				done();
+			});
+			clock.tick(1000);
+		});
+
+		it("Should retry background refreshes", function (done) {
+			failures = 0;
+			var cache = new CrispCache({
+				fetcher:            flakyFetcherSpy,
+				defaultStaleTtl:    300,
+				defaultExpiresTtl:  5000,
+				staleCheckInterval: 100,
+				retryMaxAttempts:   2,
+				retryJitter:        false
+			});
+			cache.get('hello', function (err, value) {
+				assert.equal(value, 'world');
+				failures = 1;
+				clock.tick(400);
+				assert.equal(flakyFetcherSpy.callCount, 2);
+				clock.tick(1);
+				clock.tick(100);
+				assert.equal(flakyFetcherSpy.callCount, 3);
+				done();
+			});
+			clock.tick(1);
+		});
+
+		it("Should retry batches", function (done) {
+			var batchFailures = 1;
+			var batchFetcherSpy = sinon.spy(function (keys, callback) {
+				if (batchFailures-- > 0) {
+					return callback(new Error('flaky'));
+				}
+				callback(null, {hello: 'world', foo: 'bar'});
+			});
+			var cache = new CrispCache({
+				fetcher:          flakyFetcherSpy,
+				batchFetcher:     batchFetcherSpy,
+				retryMaxAttempts: 2
+			});
+			cache.getMany(['hello', 'foo'], function (err, values) {
+				assert.ifError(err);
+				assert.deepEqual(values, {hello: 'world', foo: 'bar'});
+				assert.equal(batchFetcherSpy.callCount, 2);
+				assert.deepEqual(batchFetcherSpy.secondCall.args[0], ['hello', 'foo']);
+				done();
+			});
+			process.nextTick(function () {
+				clock.tick(100);
+			});
+		});
+	});
+
+	describe("Circuit Breaker", function () {
+
+		var clock,
+			crispCache,
+			failing,
+			fetcherSpy,
+			stateChangeSpy;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			failing = false;
+			fetcherSpy = sinon.spy(function (key, callback) {
+				if (failing) {
+					return callback(new Error('upstream down'));
+				}
+				callback(null, data[key]);
+			});
+			stateChangeSpy = sinon.spy();
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 5000,
+				circuitBreaker:    {
+					minRequests:  2,
+					resetTimeout: 1000
+				},
+				events:            {
+					circuitStateChange: stateChangeSpy
+				}
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		function tripCircuit(callback) {
+			failing = true;
+			crispCache.get('arr', function () {
+				crispCache.get('arr', function () {
+					callback();
+				});
+			});
+		}
+
+		it("Should fail misses fast while open", function (done) {
+			tripCircuit(function () {
+				assert.equal(fetcherSpy.callCount, 2);
+				assert.deepEqual(stateChangeSpy.firstCall.args[0], {state: 'open', previousState: 'closed'});
+				crispCache.get('foo', function (err) {
+					assert.equal(err.code, 'ECIRCUITOPEN');
+					assert.equal(fetcherSpy.callCount, 2);
+					done();
+				});
+			});
+		});
+
+		it("Should serve stale entries while open", function (done) {
+			crispCache.get('hello', function () {
+				tripCircuit(function () {
+					var callCount = fetcherSpy.callCount;
+					clock.tick(301);
+					crispCache.get('hello', function (err, value) {
+						assert.ifError(err);
+						assert.equal(value, 'world');
+						process.nextTick(function () {
+							assert.equal(fetcherSpy.callCount, callCount);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it("Should close again once the upstream recovers", function (done) {
+			tripCircuit(function () {
+				failing = false;
+				clock.tick(1000);
+				crispCache.get('foo', function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, 'bar');
+					assert.equal(crispCache.getUsage().circuitBreaker.state, 'closed');
+					assert.deepEqual(stateChangeSpy.args.map(function (args) {
+						return args[0].state;
+					}), ['open', 'halfOpen', 'closed']);
+					done();
+				});
+			});
+		});
+
+		it("Should count a fetch that times out as a failure", function () {
+			var hanging = true,
+				callback = sinon.spy();
+			crispCache = new CrispCache({
+				fetcher:           function (key, callback) {
+					if (!hanging) {
+						callback(null, data[key]);
+					}
+				},
+				defaultExpiresTtl: 5000,
+				fetchTimeout:      100,
+				circuitBreaker:    {
+					minRequests:  2,
+					resetTimeout: 1000
+				}
+			});
+
+			crispCache.get('foo', callback);
+			clock.tick(100);
+			crispCache.get('foo', callback);
+			clock.tick(100);
+			assert.equal(callback.secondCall.args[0].code, 'ETIMEDOUT');
+			assert.equal(crispCache.getUsage().circuitBreaker.state, 'open');
+
+			// The trial hangs too
+			clock.tick(1000);
+			crispCache.get('foo', callback);
+			clock.tick(100);
+			assert.equal(callback.thirdCall.args[0].code, 'ETIMEDOUT');
+			assert.equal(crispCache.getUsage().circuitBreaker.state, 'open');
+
+			hanging = false;
+			clock.tick(1000);
+			crispCache.get('foo', callback);
+			assert.equal(callback.getCall(3).args[1], 'bar');
+			assert.equal(crispCache.getUsage().circuitBreaker.state, 'closed');
+		});
+
+		it("Should report the breaker state in usage", function (done) {
+			tripCircuit(function () {
+				var usage = crispCache.getUsage();
+				assert.equal(usage.circuitBreaker.state, 'open');
+				assert.equal(usage.circuitBreaker.failureRate, 1);
+				done();
+			});
+		});
+	});
+
+	describe("Negative Caching", function () {
+
+		var clock,
+			crispCache,
+			failing,
+			fetcherSpy;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			failing = true;
+			fetcherSpy = sinon.spy(function (key, callback) {
+				if (failing) {
+					return callback(new Error('fetcher error'));
+				}
+				callback(null, data[key]);
+			});
+			crispCache = new CrispCache({
+				fetcher:           fetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500,
+				errorTtl:          100,
+				negativeTtl:       200
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		it("Should replay a cached error", function (done) {
+			var negativeHitSpy = sinon.spy();
+			crispCache.on('negativeHit', negativeHitSpy);
+			crispCache.get('hello', function (err) {
+				assert.equal(err.message, 'fetcher error');
+				crispCache.get('hello', function (err, value) {
+					assert.equal(err.message, 'fetcher error');
+					assert.equal(value, undefined);
+					assert.equal(fetcherSpy.callCount, 1);
+					assert.equal(negativeHitSpy.callCount, 1);
+
+					var usage = crispCache.getUsage();
+					assert.equal(usage.get.negative, 1);
+					assert.equal(usage.get.hit, 0);
+					assert.equal(usage.get.miss, 1);
+					done();
+				});
+			});
+		});
+
+		it("Should fetch again once the error expires", function (done) {
+			crispCache.get('hello', function (err) {
+				assert.ok(err);
+				failing = false;
+				clock.tick(101);
+				crispCache.get('hello', function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, 'world');
+					assert.equal(fetcherSpy.callCount, 2);
+					done();
+				});
+			});
+		});
+
+		it("Should not keep not found results past negativeTtl", function (done) {
+			failing = false;
+			crispCache = new CrispCache({
+				fetcher:                fetcherSpy,
+				defaultExpiresTtl:      500,
+				defaultStaleIfErrorTtl: 5000,
+				negativeTtl:            200
+			});
+			crispCache.get('missing', function (err) {
+				assert.ifError(err);
+				assert.equal(crispCache.cache['missing'].staleIfErrorTtl, 0);
+				clock.tick(201);
+				crispCache.get('missing', function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, undefined);
+					assert.equal(fetcherSpy.callCount, 2);
+					done();
+				});
+			});
+		});
+
+		it("Should cache not found results", function (done) {
+			failing = false;
+			crispCache.get('missing', function (err, value) {
+				assert.ifError(err);
+				assert.equal(value, undefined);
+				assert.ok(crispCache.cache['missing'].isNegative());
+				assert.equal(crispCache.cache['missing'].expiresTtl, 200);
+				crispCache.get('missing', function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, undefined);
+					assert.equal(fetcherSpy.callCount, 1);
+					assert.equal(crispCache.getUsage().get.negative, 1);
+					clock.tick(201);
+					crispCache.get('missing', function () {
+						assert.equal(fetcherSpy.callCount, 2);
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should not cache errors over a stale entry", function (done) {
+			failing = false;
+			crispCache.get('hello', function () {
+				failing = true;
+				clock.tick(301);
+				crispCache.get('hello', function (err, value) {
+					assert.equal(value, 'world');
+					process.nextTick(function () {
+						assert.equal(fetcherSpy.callCount, 2);
+						assert.ok(!crispCache.cache['hello'].isNegative());
+						done();
+					});
+				});
+			});
+		});
+
+		it("Should not count negative hits without negative caching", function () {
+			var cache = new CrispCache({fetcher: fetcher});
+			assert.equal(cache.getUsage().get.negative, undefined);
+		});
+
+		it("Should count negative hits on entries it didn't cache", function (done) {
+			var cache = new CrispCache({fetcher: fetcher});
+			var entry = new CacheEntry({negative: true, error: new Error('fetcher error'), expiresTtl: 100});
+			cache.store.set('hello', entry, function () {
+				cache.get('hello', function (err) {
+					assert.equal(err.message, 'fetcher error');
+					assert.equal(cache.getUsage().get.negative, 1);
+					done();
+				});
+			});
+		});
+
+		it("Should serialize cached errors", function () {
+			var entry = new CacheEntry({negative: true, error: new Error('fetcher error'), expiresTtl: 100});
+			entry.error.code = 'ENOTFOUND';
+			var copy = CacheEntry.fromJSON(JSON.parse(JSON.stringify(entry)));
+			assert.ok(copy.isNegative());
+			assert.equal(copy.error.message, 'fetcher error');
+			assert.equal(copy.error.code, 'ENOTFOUND');
+			assert.equal(copy.created, entry.created);
+		});
+	});
+
+	describe("Stale If Error", function () {
+
+		var clock,
+			crispCache,
+			failing,
+			fetcherSpy;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			failing = false;
+			fetcherSpy = sinon.spy(function (key, callback) {
+				if (failing) {
+					return callback(new Error('fetcher error'));
+				}
+				callback(null, data[key]);
+			});
+			crispCache = new CrispCache({
+				fetcher:                fetcherSpy,
+				defaultStaleTtl:        300,
+				defaultExpiresTtl:      500,
+				defaultStaleIfErrorTtl: 1000
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+		});
+
+		it("Should have a stale if error state", function () {
+			var entry = new CacheEntry({value: 'a', staleTtl: 100, expiresTtl: 200, staleIfErrorTtl: 300});
+			clock.tick(201);
+			assert.equal(entry.getState(), CacheEntry.STATE_STALE_IF_ERROR);
+			assert.ok(entry.isStaleIfError());
+			assert.ok(!entry.isExpired());
+			clock.tick(300);
+			assert.ok(entry.isExpired());
+		});
+
+		it("Should serve an expired value while the fetcher fails", function (done) {
+			crispCache.get('hello', function () {
+				failing = true;
+				clock.tick(501);
+				crispCache.get('hello', function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, 'world');
+					assert.equal(fetcherSpy.callCount, 2);
+					assert.ok(crispCache.cache['hello'].isStaleIfError());
+					done();
+				});
+			});
+		});
+
+		it("Should replace the entry once a fetch succeeds", function (done) {
+			crispCache.get('hello', function () {
+				clock.tick(501);
+				crispCache.get('hello', function (err, value) {
+					assert.ifError(err);
+					assert.equal(value, 'world');
+					assert.equal(fetcherSpy.callCount, 2);
+					assert.ok(crispCache.cache['hello'].isValid());
+					done();
+				});
+			});
+		});
+
+		it("Should propagate errors once the window runs out", function (done) {
+			crispCache.get('hello', function () {
+				failing = true;
+				clock.tick(1501);
+				crispCache.get('hello', function (err, value) {
+					assert.equal(err.message, 'fetcher error');
+					assert.equal(value, undefined);
+					assert.equal(crispCache.cache['hello'], undefined);
+					done();
+				});
+			});
+		});
+
+		it("Should use the fetcher's stale if error TTL", function (done) {
+			var cache = new CrispCache({
+				fetcher: function (key, callback) {
+					callback(null, 'value', {expiresTtl: 100, staleIfErrorTtl: 50});
+				}
+			});
+			cache.get('a', function () {
+				assert.equal(cache.cache['a'].staleIfErrorTtl, 50);
+				done();
+			});
+		});
+
+		it("Should not evict entries that can still be used", function (done) {
+			crispCache.get('hello', function () {
+				clock.tick(501);
+				crispCache._evictCheck();
+				assert.ok(crispCache.cache['hello']);
+				clock.tick(1000);
+				crispCache._evictCheck();
+				assert.equal(crispCache.cache['hello'], undefined);
+				done();
+			});
+		});
+	});
+
+	describe("Early Refresh", function () {
+
+		var clock,
+			crispCache,
+			slowFetcherSpy;
+
+		beforeEach(function () {
+			clock = sinon.useFakeTimers();
+			slowFetcherSpy = sinon.spy(function (key, callback) {
+				setTimeout(function () {
+					callback(null, data[key]);
+				}, 50);
+			});
+			crispCache = new CrispCache({
+				fetcher:           slowFetcherSpy,
+				defaultStaleTtl:   300,
+				defaultExpiresTtl: 500,
+				earlyRefresh:      true
+			});
+		});
+
+		afterEach(function () {
+			clock.restore();
+			seed.resetGlobal();
+		});
+
+		it("Should record how long the fetch took", function (done) {
+			crispCache.get('hello', function () {
+				assert.equal(crispCache.cache['hello'].fetchDuration, 50);
+				done();
+			});
+			clock.tick(50);
+		});
+
+		it("Should be more likely to refresh closer to going stale", function () {
+			seed('foo', {global: true});
+			var entry = new CacheEntry({value: 'a', staleTtl: 1000, fetchDuration: 100});
+			var refreshes = function () {
+				var count = 0;
+				for (var i = 0; i < 1000; i++) {
+					if (entry.shouldRefreshEarly(1)) {
+						count++;
+					}
+				}
+				return count;
+			};
+			clock.tick(100);
+			var early = refreshes();
+			clock.tick(800);
+			var late = refreshes();
+			assert.ok(early < late, early + " < " + late);
+		});
+
+		it("Should not refresh early without a fetch duration", function () {
+			var entry = new CacheEntry({value: 'a', staleTtl: 1000});
+			clock.tick(999);
+			assert.ok(!entry.shouldRefreshEarly(100));
+		});
+
+		it("Should refresh in the background before going stale", function (done) {
+			var earlyRefreshSpy = sinon.spy();
+			crispCache.on('earlyRefresh', earlyRefreshSpy);
+			sinon.stub(Math, 'random').returns(0.0001);
+			crispCache.get('hello', function () {
+				clock.tick(250);
+				crispCache.get('hello', function (err, value) {
+					assert.equal(value, 'world');
+					assert.ok(crispCache.cache['hello'].isValid());
+					process.nextTick(function () {
+						// The early refresh check runs after the callback
+						Math.random.restore();
+						assert.equal(slowFetcherSpy.callCount, 2);
+						assert.equal(earlyRefreshSpy.callCount, 1);
+						clock.tick(50);
+						assert.equal(crispCache.cache['hello'].created, 350);
+						done();
+					});
+				});
+			});
+			clock.tick(50);
+		});
+
+		it("Should not refresh early when disabled", function (done) {
+			crispCache.earlyRefresh = false;
+			sinon.stub(Math, 'random').returns(0.0001);
+			crispCache.get('hello', function () {
+				clock.tick(250);
+				crispCache.get('hello', function () {
+					process.nextTick(function () {
+						Math.random.restore();
+						assert.equal(slowFetcherSpy.callCount, 1);
+						done();
+					});
+				});
+			});
+			clock.tick(50);
+		});
+	});
+
 	describe('Events - General', function () {
 		it('should fire events that are passed via the constructor', function () {
 			var orig = function (a, cb) {
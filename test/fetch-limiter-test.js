@@ -0,0 +1,104 @@
+var assert = require('assert'),
+	FetchLimiter = require('../lib/FetchLimiter'),
+	sinon = require('sinon');
+
+describe("FetchLimiter", function () {
+
+	var fetchLimiter,
+		releases,
+		started;
+
+	beforeEach(function () {
+		fetchLimiter = new FetchLimiter({maxConcurrent: 2});
+		releases = {};
+		started = [];
+	});
+
+	function run(key, background) {
+		fetchLimiter.run([key], background, function (release) {
+			started.push(key);
+			releases[key] = release;
+		});
+	}
+
+	it("Should start fetches under the limit", function () {
+		run('a');
+		run('b');
+		assert.deepEqual(started, ['a', 'b']);
+		assert.equal(fetchLimiter.active, 2);
+	});
+
+	it("Should queue fetches over the limit", function () {
+		run('a');
+		run('b');
+		run('c');
+		assert.deepEqual(started, ['a', 'b']);
+		releases['a']();
+		assert.deepEqual(started, ['a', 'b', 'c']);
+		assert.equal(fetchLimiter.active, 2);
+	});
+
+	it("Should start foreground fetches before background ones", function () {
+		run('a');
+		run('b');
+		run('c', true);
+		run('d');
+		releases['a']();
+		assert.deepEqual(started, ['a', 'b', 'd']);
+		releases['b']();
+		assert.deepEqual(started, ['a', 'b', 'd', 'c']);
+	});
+
+	it("Should promote background fetches", function () {
+		run('a');
+		run('b');
+		run('c', true);
+		run('d');
+		assert.ok(fetchLimiter.promote('c'));
+		assert.ok(!fetchLimiter.promote('missing'));
+		releases['a']();
+		releases['b']();
+		assert.deepEqual(started, ['a', 'b', 'd', 'c']);
+		assert.equal(fetchLimiter.background.length, 0);
+	});
+
+	it("Should ignore releasing twice", function () {
+		run('a');
+		run('b');
+		run('c');
+		releases['a']();
+		releases['a']();
+		assert.equal(fetchLimiter.active, 2);
+		assert.deepEqual(started, ['a', 'b', 'c']);
+	});
+
+	it("Should not grow the stack with synchronous fetches", function () {
+		var count = 0;
+		fetchLimiter = new FetchLimiter({maxConcurrent: 1});
+		var blocked = sinon.spy();
+		fetchLimiter.run(['blocker'], false, blocked);
+		for (var i = 0; i < 20000; i++) {
+			fetchLimiter.run(['key' + i], false, function (release) {
+				count++;
+				release();
+			});
+		}
+		blocked.firstCall.args[0]();
+		assert.equal(count, 20000);
+		assert.equal(fetchLimiter.active, 0);
+	});
+
+	it("Should report usage", function () {
+		run('a');
+		run('b');
+		run('c');
+		run('d', true);
+		assert.deepEqual(fetchLimiter.getUsage(), {
+			maxConcurrent: 2,
+			active:        2,
+			queued:        2,
+			foreground:    1,
+			background:    1
+		});
+	});
+});
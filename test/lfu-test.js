@@ -0,0 +1,134 @@
+var assert = require('assert'),
+	Lfu = require('../lib/Lfu'),
+	sinon = require('sinon');
+
+describe("LFU", function () {
+
+	var delSpy = null,
+		lfu = null;
+
+	it("Sanity Check", function () {
+		lfu = new Lfu();
+		assert.ok(lfu instanceof Lfu);
+	});
+
+	beforeEach(function () {
+		delSpy = sinon.spy(function (key) {
+		});
+		lfu = new Lfu({
+			maxSize:     3,
+			delCallback: delSpy
+		});
+	});
+
+	describe("Put", function () {
+		it("Should track size", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 2);
+			assert.equal(lfu.size, 3);
+		});
+
+		it("Should update size", function () {
+			lfu.put('a', 1);
+			lfu.put('a', 2);
+			assert.equal(lfu.size, 2);
+			assert.equal(lfu.hash['a'].freq, 2);
+		});
+
+		it("Should evict the least frequently used", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.put('c', 1);
+			lfu.touch('a', 1);
+			lfu.touch('c', 1);
+			lfu.put('d', 1);
+			assert.equal(delSpy.callCount, 1);
+			assert.ok(delSpy.calledWith('b'));
+			assert.deepEqual(Object.keys(lfu.hash).sort(), ['a', 'c', 'd']);
+			assert.equal(lfu.size, 3);
+		});
+
+		it("Should break ties by evicting the least recently used", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.put('c', 1);
+			lfu.put('d', 1);
+			assert.ok(delSpy.calledWith('a'));
+		});
+
+		it("Should evict multiple entries for a large entry", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.touch('b', 1);
+			lfu.put('c', 2);
+			assert.equal(delSpy.callCount, 1);
+			assert.ok(delSpy.calledWith('a'));
+			assert.equal(lfu.size, 3);
+		});
+	});
+
+	describe("Touch", function () {
+		it("Should increase the frequency", function () {
+			lfu.put('a', 1);
+			lfu.touch('a', 1);
+			lfu.touch('a', 1);
+			assert.equal(lfu.hash['a'].freq, 3);
+		});
+
+		it("Should add a missing entry", function () {
+			lfu.touch('a', 2);
+			assert.equal(lfu.size, 2);
+			assert.equal(lfu.hash['a'].freq, 1);
+		});
+	});
+
+	describe("Victim", function () {
+		it("Should return the least frequently used", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.touch('a', 1);
+			assert.equal(lfu.victim(), 'b');
+		});
+
+		it("Should find the next frequency after a delete", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.touch('b', 1);
+			lfu.del('a');
+			assert.equal(lfu.victim(), 'b');
+		});
+
+		it("Should return null when empty", function () {
+			assert.strictEqual(lfu.victim(), null);
+		});
+	});
+
+	describe("Del", function () {
+		it("Should remove an entry", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 2);
+			lfu.del('a');
+			assert.equal(lfu.size, 2);
+			assert.equal(delSpy.callCount, 1);
+			assert.deepEqual(Object.keys(lfu.hash), ['b']);
+		});
+
+		it("Should skip the callback", function () {
+			lfu.put('a', 1);
+			lfu.del('a', true);
+			assert.equal(delSpy.callCount, 0);
+			assert.equal(lfu.size, 0);
+		});
+	});
+
+	describe("Clear", function () {
+		it("Should remove all entries", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.clear();
+			assert.equal(lfu.size, 0);
+			assert.equal(Object.keys(lfu.hash).length, 0);
+			assert.strictEqual(lfu.victim(), null);
+		});
+	});
+});
@@ -310,6 +310,35 @@ describe("LRU", function () {
 		});
 	});
 
+	describe("Touch", function () {
+		it("Should move an entry to the head", function () {
+			lru.put('a', 1);
+			lru.put('b', 1);
+			lru.touch('a', 1);
+			assert.equal(lru.head.key, 'a');
+			assert.equal(lru.tail.key, 'b');
+			assert.equal(lru.size, 2);
+		});
+
+		it("Should add a missing entry", function () {
+			lru.touch('a', 3);
+			assert.equal(lru.head.key, 'a');
+			assert.equal(lru.size, 3);
+		});
+	});
+
+	describe("Victim", function () {
+		it("Should return the tail key", function () {
+			lru.put('a', 1);
+			lru.put('b', 1);
+			assert.equal(lru.victim(), 'a');
+		});
+
+		it("Should return null when empty", function () {
+			assert.strictEqual(lru.victim(), null);
+		});
+	});
+
 	describe("clear", function () {
 		it("Should remove an entry", function () {
 			lru.put('a', 1);
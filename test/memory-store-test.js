@@ -0,0 +1,68 @@
+var assert = require('assert'),
+	CacheEntry = require('../lib/CacheEntry'),
+	MemoryStore = require('../lib/MemoryStore');
+
+describe("MemoryStore", function () {
+
+	var store = null;
+
+	beforeEach(function () {
+		store = new MemoryStore();
+	});
+
+	it("Should set and get an entry", function (done) {
+		var entry = new CacheEntry({value: 'world'});
+		store.set('hello', entry, function (err) {
+			assert.ifError(err);
+			store.get('hello', function (err, result) {
+				assert.ifError(err);
+				assert.strictEqual(result, entry);
+				done();
+			});
+		});
+	});
+
+	it("Should get undefined for a missing key", function (done) {
+		store.get('missing', function (err, result) {
+			assert.ifError(err);
+			assert.strictEqual(result, undefined);
+			done();
+		});
+	});
+
+	it("Should delete an entry", function (done) {
+		store.set('hello', new CacheEntry({value: 'world'}), function () {
+			store.delete('hello', function (err) {
+				assert.ifError(err);
+				store.get('hello', function (err, result) {
+					assert.strictEqual(result, undefined);
+					done();
+				});
+			});
+		});
+	});
+
+	it("Should list keys", function (done) {
+		store.set('a', new CacheEntry({value: 1}), function () {
+			store.set('b', new CacheEntry({value: 2}), function () {
+				store.keys(function (err, keys) {
+					assert.ifError(err);
+					assert.deepEqual(keys, ['a', 'b']);
+					done();
+				});
+			});
+		});
+	});
+
+	it("Should clear all entries", function (done) {
+		store.set('a', new CacheEntry({value: 1}), function () {
+			store.clear(function (err) {
+				assert.ifError(err);
+				store.keys(function (err, keys) {
+					assert.deepEqual(keys, []);
+					done();
+				});
+			});
+		});
+	});
+});
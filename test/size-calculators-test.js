@@ -0,0 +1,42 @@
+var assert = require('assert'),
+	sizeCalculators = require('../lib/sizeCalculators');
+
+describe("Size Calculators", function () {
+
+	describe("bytes", function () {
+		it("Should use the length of a Buffer", function () {
+			assert.equal(sizeCalculators.bytes(Buffer.alloc(42)), 42);
+		});
+
+		it("Should use the UTF-8 length of a string", function () {
+			assert.equal(sizeCalculators.bytes('hello'), 5);
+			assert.equal(sizeCalculators.bytes('héllo'), 6);
+		});
+
+		it("Should fall back to JSON for other values", function () {
+			assert.equal(sizeCalculators.bytes({a: 1}), 7);
+		});
+	});
+
+	describe("json", function () {
+		it("Should use the length of the JSON", function () {
+			assert.equal(sizeCalculators.json({a: 'b'}), 9);
+			assert.equal(sizeCalculators.json([1, 2, 3]), 7);
+		});
+
+		it("Should be 0 for undefined", function () {
+			assert.equal(sizeCalculators.json(undefined), 0);
+		});
+	});
+
+	describe("v8", function () {
+		it("Should use the serialized length", function () {
+			var value = {a: 'b', list: [1, 2, 3]};
+			assert.equal(sizeCalculators.v8(value), require('v8').serialize(value).length);
+		});
+
+		it("Should grow with the value", function () {
+			assert.ok(sizeCalculators.v8('a'.repeat(1000)) > sizeCalculators.v8('a'));
+		});
+	});
+});
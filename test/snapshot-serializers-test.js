@@ -0,0 +1,36 @@
+var assert = require('assert'),
+	snapshotSerializers = require('../lib/snapshotSerializers');
+
+describe("Snapshot Serializers", function () {
+
+	var snapshot = {version: 1, created: 1000, entries: {a: {value: 'value_a', created: 500}}};
+
+	describe("json", function () {
+		it("Should round trip a snapshot", function () {
+			var buffer = snapshotSerializers.json.serialize(snapshot);
+			assert.ok(Buffer.isBuffer(buffer));
+			assert.deepEqual(snapshotSerializers.json.deserialize(buffer), snapshot);
+		});
+
+		it("Should be readable JSON", function () {
+			assert.deepEqual(JSON.parse(snapshotSerializers.json.serialize(snapshot).toString()), snapshot);
+		});
+	});
+
+	describe("v8", function () {
+		it("Should round trip a snapshot", function () {
+			var buffer = snapshotSerializers.v8.serialize(snapshot);
+			assert.ok(Buffer.isBuffer(buffer));
+			assert.deepEqual(snapshotSerializers.v8.deserialize(buffer), snapshot);
+		});
+
+		it("Should keep values JSON can't", function () {
+			var value = snapshotSerializers.v8.deserialize(snapshotSerializers.v8.serialize({
+				map: new Map([['a', 1]]),
+				set: new Set(['b'])
+			}));
+			assert.equal(value.map.get('a'), 1);
+			assert.ok(value.set.has('b'));
+		});
+	});
+});
@@ -0,0 +1,57 @@
+var assert = require('assert'),
+	TagIndex = require('../lib/TagIndex');
+
+describe("TagIndex", function () {
+
+	var tagIndex;
+
+	beforeEach(function () {
+		tagIndex = new TagIndex();
+	});
+
+	it("Should find keys by tag", function () {
+		tagIndex.set('a', ['user:1', 'tenant:1']);
+		tagIndex.set('b', ['user:2', 'tenant:1']);
+		assert.deepEqual(tagIndex.keys('tenant:1'), ['a', 'b']);
+		assert.deepEqual(tagIndex.keys('user:1'), ['a']);
+		assert.deepEqual(tagIndex.keys('user:3'), []);
+	});
+
+	it("Should list the tags of a key", function () {
+		tagIndex.set('a', ['user:1', 'tenant:1']);
+		assert.deepEqual(tagIndex.tags('a'), ['user:1', 'tenant:1']);
+		assert.deepEqual(tagIndex.tags('b'), []);
+	});
+
+	it("Should replace the tags of a key", function () {
+		tagIndex.set('a', ['user:1']);
+		tagIndex.set('a', ['user:2']);
+		assert.deepEqual(tagIndex.keys('user:1'), []);
+		assert.deepEqual(tagIndex.keys('user:2'), ['a']);
+		assert.equal(tagIndex.tagKeys['user:1'], undefined);
+	});
+
+	it("Should remove a key without tags", function () {
+		tagIndex.set('a', ['user:1']);
+		tagIndex.set('a');
+		assert.deepEqual(tagIndex.keys('user:1'), []);
+		assert.deepEqual(tagIndex.tags('a'), []);
+	});
+
+	it("Should remove a key", function () {
+		tagIndex.set('a', ['user:1']);
+		tagIndex.set('b', ['user:1']);
+		tagIndex.remove('a');
+		tagIndex.remove('missing');
+		assert.deepEqual(tagIndex.keys('user:1'), ['b']);
+		assert.equal(tagIndex.keyTags['a'], undefined);
+	});
+
+	it("Should clear", function () {
+		tagIndex.set('a', ['user:1']);
+		tagIndex.clear();
+		assert.deepEqual(tagIndex.keys('user:1'), []);
+		assert.deepEqual(tagIndex.tagKeys, {});
+		assert.deepEqual(tagIndex.keyTags, {});
+	});
+});
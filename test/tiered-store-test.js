@@ -0,0 +1,136 @@
+var assert = require('assert'),
+	CacheEntry = require('../lib/CacheEntry'),
+	MemoryStore = require('../lib/MemoryStore'),
+	sinon = require('sinon'),
+	TieredStore = require('../lib/TieredStore');
+
+describe("TieredStore", function () {
+
+	var clock = null,
+		l2 = null,
+		store = null;
+
+	beforeEach(function () {
+		l2 = new MemoryStore();
+		store = new TieredStore({
+			maxSize: 2,
+			store:   l2
+		});
+	});
+
+	afterEach(function () {
+		if (clock) {
+			clock.restore();
+			clock = null;
+		}
+	});
+
+	it("Should complain without a store or maxSize", function () {
+		assert.throws(function () {
+			new TieredStore({maxSize: 2});
+		}, /store/);
+		assert.throws(function () {
+			new TieredStore({store: l2});
+		}, /maxSize/);
+	});
+
+	it("Should write to both tiers", function (done) {
+		var entry = new CacheEntry({value: 'world', size: 1});
+		store.set('hello', entry, function (err) {
+			assert.ifError(err);
+			assert.strictEqual(store.l1.cache['hello'], entry);
+			assert.strictEqual(l2.cache['hello'], entry);
+			done();
+		});
+	});
+
+	it("Should fill L1 from L2 on a miss", function (done) {
+		var entry = new CacheEntry({value: 'world', size: 1});
+		l2.cache['hello'] = entry;
+		store.get('hello', function (err, result) {
+			assert.ifError(err);
+			assert.strictEqual(result, entry);
+			assert.strictEqual(store.l1.cache['hello'], entry);
+			done();
+		});
+	});
+
+	it("Should evict from L1 only", function (done) {
+		store.set('a', new CacheEntry({value: 1, size: 1}), function () {
+			store.set('b', new CacheEntry({value: 2, size: 1}), function () {
+				store.set('c', new CacheEntry({value: 3, size: 1}), function () {
+					assert.deepEqual(Object.keys(store.l1.cache), ['b', 'c']);
+					assert.deepEqual(Object.keys(l2.cache), ['a', 'b', 'c']);
+					store.get('a', function (err, result) {
+						assert.equal(result.getValue(), 1);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	it("Should evict the L1 copy only", function (done) {
+		store.set('a', new CacheEntry({value: 1, size: 1}), function () {
+			store.evict('a', function (err) {
+				assert.ifError(err);
+				assert.equal(store.l1.cache['a'], undefined);
+				assert.equal(store._lru.size, 0);
+				assert.ok(l2.cache['a']);
+				done();
+			});
+		});
+	});
+
+	it("Should prefer a newer L2 entry over a stale L1 entry", function (done) {
+		clock = sinon.useFakeTimers();
+		store.set('a', new CacheEntry({value: 'old', staleTtl: 100, expiresTtl: 1000}), function () {
+			clock.tick(200);
+			// Refreshed by another process
+			l2.cache['a'] = new CacheEntry({value: 'new', staleTtl: 100, expiresTtl: 1000});
+			store.get('a', function (err, result) {
+				assert.equal(result.getValue(), 'new');
+				assert.equal(store.l1.cache['a'].getValue(), 'new');
+				done();
+			});
+		});
+	});
+
+	it("Should keep a stale L1 entry if L2 has nothing newer", function (done) {
+		clock = sinon.useFakeTimers();
+		store.set('a', new CacheEntry({value: 'old', staleTtl: 100, expiresTtl: 1000}), function () {
+			clock.tick(200);
+			store.get('a', function (err, result) {
+				assert.equal(result.getValue(), 'old');
+				assert.ok(result.isStale());
+				done();
+			});
+		});
+	});
+
+	it("Should delete from both tiers", function (done) {
+		store.set('a', new CacheEntry({value: 1, size: 1}), function () {
+			store.delete('a', function (err) {
+				assert.ifError(err);
+				assert.equal(store.l1.cache['a'], undefined);
+				assert.equal(l2.cache['a'], undefined);
+				assert.equal(store._lru.size, 0);
+				done();
+			});
+		});
+	});
+
+	it("Should clear both tiers", function (done) {
+		store.set('a', new CacheEntry({value: 1, size: 1}), function () {
+			store.clear(function (err) {
+				assert.ifError(err);
+				assert.deepEqual(store.l1.cache, {});
+				assert.deepEqual(l2.cache, {});
+				store.keys(function (err, keys) {
+					assert.deepEqual(keys, []);
+					done();
+				});
+			});
+		});
+	});
+});
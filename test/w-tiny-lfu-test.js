@@ -0,0 +1,146 @@
+var assert = require('assert'),
+	CountMinSketch = require('../lib/CountMinSketch'),
+	sinon = require('sinon'),
+	WTinyLfu = require('../lib/WTinyLfu');
+
+describe("W-TinyLFU", function () {
+
+	var delSpy = null,
+		lfu = null;
+
+	it("Sanity Check", function () {
+		lfu = new WTinyLfu();
+		assert.ok(lfu instanceof WTinyLfu);
+	});
+
+	beforeEach(function () {
+		delSpy = sinon.spy(function (key) {
+		});
+		lfu = new WTinyLfu({
+			maxSize:     5,
+			delCallback: delSpy
+		});
+	});
+
+	describe("Put", function () {
+		it("Should add new keys to the window", function () {
+			lfu.put('a', 1);
+			assert.ok(lfu.window.has('a'));
+			assert.equal(lfu.size, 1);
+		});
+
+		it("Should move keys out of the window to probation", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			assert.ok(lfu.window.has('b'));
+			assert.ok(lfu.probation.has('a'));
+			assert.equal(lfu.size, 2);
+		});
+
+		it("Should stay under maxSize", function () {
+			for (var i = 0; i < 20; i++) {
+				lfu.put('key' + i, 1);
+			}
+			assert.equal(lfu.size, 5);
+			assert.equal(delSpy.callCount, 15);
+		});
+
+		it("Should keep popular keys over new ones", function () {
+			['a', 'b', 'c', 'd'].forEach(function (key) {
+				lfu.put(key, 1);
+				lfu.touch(key, 1);
+				lfu.touch(key, 1);
+			});
+			for (var i = 0; i < 10; i++) {
+				lfu.put('scan' + i, 1);
+			}
+			['a', 'b', 'c', 'd'].forEach(function (key) {
+				assert.ok(!delSpy.calledWith(key), key + " shouldn't have been evicted");
+			});
+		});
+
+		it("Should admit a new key once it's more popular", function () {
+			['a', 'b', 'c', 'd', 'e'].forEach(function (key) {
+				lfu.put(key, 1);
+			});
+			for (var i = 0; i < 3; i++) {
+				lfu.sketch.increment('new');
+			}
+			lfu.put('new', 1);
+			lfu.put('other', 1);
+			assert.ok(lfu.probation.has('new') || lfu.protected.has('new'));
+		});
+	});
+
+	describe("Touch", function () {
+		it("Should move probation keys to protected", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.touch('a', 1);
+			assert.ok(lfu.protected.has('a'));
+			assert.equal(lfu.size, 2);
+		});
+
+		it("Should add a missing entry", function () {
+			lfu.touch('a', 2);
+			assert.ok(lfu.window.has('a'));
+			assert.equal(lfu.size, 2);
+		});
+	});
+
+	describe("Del", function () {
+		it("Should remove an entry", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.del('a');
+			assert.equal(delSpy.callCount, 1);
+			assert.equal(lfu.size, 1);
+		});
+
+		it("Should skip the callback", function () {
+			lfu.put('a', 1);
+			lfu.del('a', true);
+			assert.equal(delSpy.callCount, 0);
+			assert.equal(lfu.size, 0);
+		});
+	});
+
+	describe("Clear", function () {
+		it("Should remove all entries", function () {
+			lfu.put('a', 1);
+			lfu.put('b', 1);
+			lfu.clear();
+			assert.equal(lfu.size, 0);
+			assert.strictEqual(lfu.victim(), null);
+			assert.equal(lfu.sketch.frequency('a'), 0);
+		});
+	});
+
+	describe("CountMinSketch", function () {
+		it("Should count keys", function () {
+			var sketch = new CountMinSketch({width: 64});
+			sketch.increment('a');
+			sketch.increment('a');
+			sketch.increment('b');
+			assert.equal(sketch.frequency('a'), 2);
+			assert.equal(sketch.frequency('b'), 1);
+			assert.equal(sketch.frequency('c'), 0);
+		});
+
+		it("Should cap counts at 15", function () {
+			var sketch = new CountMinSketch({width: 64});
+			for (var i = 0; i < 20; i++) {
+				sketch.increment('a');
+			}
+			assert.equal(sketch.frequency('a'), 15);
+		});
+
+		it("Should halve counts after the sample size", function () {
+			var sketch = new CountMinSketch({width: 64, sampleSize: 8});
+			for (var i = 0; i < 8; i++) {
+				sketch.increment('a');
+			}
+			assert.equal(sketch.frequency('a'), 4);
+		});
+	});
+});